@@ -1,395 +1,434 @@
-import React, { useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { DEFAULT_DECK, tensesFor, verbLabel } from "./src/deck.js";
+import { DEFAULT_DIALECT, DIALECTS, getDialect, loadDialect, saveDialect } from "./src/dialects.js";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, dealSpecials, getDifficulty, verbWeight } from "./src/difficulty.js";
+import { loadActiveDeckId, loadDecks, saveActiveDeckId, saveDecks } from "./src/deckPack.js";
+import { buildJudgePrompt } from "./src/judge.js";
+import { FALLBACK_SCORER, SCORERS, defaultScorerConfigs, describeScoringError, getScorer, isCancelled } from "./src/scorers/index.js";
+import { Card, Li } from "./src/components/Card.jsx";
+import { HistoryCard } from "./src/components/HistoryCard.jsx";
+import { PartyMode } from "./src/components/PartyMode.jsx";
+import { TimedMode } from "./src/components/TimedMode.jsx";
+import { ClassroomMode } from "./src/components/ClassroomMode.jsx";
+import { StoryMode } from "./src/components/StoryMode.jsx";
+import { DeckEditor } from "./src/components/DeckEditor.jsx";
+import { SpecialHighlights } from "./src/components/Highlight.jsx";
+import { CorrectionDiff } from "./src/components/CorrectionDiff.jsx";
+import { correctionOf } from "./src/diff.js";
+import { ChallengePanel } from "./src/components/ChallengePanel.jsx";
+import { HintsPanel } from "./src/components/HintsPanel.jsx";
+import { AccentBar } from "./src/components/AccentBar.jsx";
+import { SHORTCUTS, useShortcuts } from "./src/shortcuts.js";
+import { applyHints } from "./src/hints.js";
+import { CHALLENGE_DRAWS, challengeHash, dailyChallenge, drawRandom, parseChallengeHash, randomSeed } from "./src/challenge.js";
+import { StatsDashboard } from "./src/components/StatsDashboard.jsx";
+import { loadHistory, makeAttemptId, mergeHistory, saveAttempts } from "./src/historyStore.js";
+import { RESCORE_RETRY_MS, drainRescores, isRetryable, pendingRescores } from "./src/rescore.js";
+import { adaptivePlan, dimensionWeight, dueReviews, explainDraw, isResting, personOf, shouldReview, weightedPick } from "./src/adaptive.js";
 
 /*
  Tiempo Madness
  --------------------------------------------------
  What this does
  • Smart draws: only coherent combinations (time cue ↔ tense compatibility)
- • Local scoring: quick rubric checks tense form, time-cue usage, specials
+ • Local scoring: quick rubric checks the drawn verb's conjugation, time-cue usage, specials
  • Clipboard integration: 1‑click copy of a structured “ChatGPT Judge” prompt
- • History log: track attempts, scores, and highlights for post‑game review
+ • History log: every attempt is kept locally (IndexedDB) with JSON/CSV export and import
+ • Custom decks: verbs, time cues and specials can be edited and shared as JSON packs
+ • Challenges: seeded draws shareable as links, plus a daily challenge that is the same for everyone
+ • Story mode: several draws written as one paragraph, scored sentence by sentence and for coherence
 
  Notes
- • No external API calls needed. Works offline.
- • If you later want API scoring, wire up the `scoreWithLLM` stub.
+ • Offline mode needs no external API calls.
+ • Scoring modes are pluggable providers in src/scorers; the judge prompt lives in src/judge.js.
 
  How to use
  1) Click “New Draw” to deal a coherent set of cards.
  2) Speak/type your sentence, then hit “Score”.
  3) Use “Copy Judge Prompt” if you want a ChatGPT adjudication in parallel.
- 4) Toggle difficulty to allow tricky specials and irregulars.
+ 4) Pick a difficulty: it sets the verb and tense pools, how many specials a card has and how strictly it is marked.
 */
 
-// ---------------------- Data ----------------------
-const SUBJECTS = [
-  "yo","tú","él","ella","usted","nosotros","ustedes","ellos","ellas"
-];
-
-// Verbs (mix of regular + starred irregulars for awareness; not all are auto‑checked)
-const VERBS = [
-  {inf:"hablar"},{inf:"comer"},{inf:"vivir"},{inf:"trabajar"},{inf:"estudiar"},{inf:"leer"},{inf:"escribir"},{inf:"correr"},{inf:"abrir"},{inf:"beber"},{inf:"comprar"},{inf:"vender"},{inf:"venir★"},{inf:"tener★"},{inf:"poder★"},{inf:"poner★"},{inf:"hacer★"},{inf:"decir★"},{inf:"ir★"},{inf:"ser★"},{inf:"estar★"}
-];
-
-// Tenses
-const TENSES = [
-  {name:"Presente", key:"presente"},
-  {name:"Pretérito", key:"preterito"},
-  {name:"Futuro (simple)", key:"futuro"},
-  {name:"Ir a + infinitivo", key:"ir_a"},
-];
-
-// Time cues tagged by compatibility (which tense(s) they naturally go with)
-const TIME_CUES = [
-  {text:"hoy", allow:["presente","preterito"], weight:2},
-  {text:"ahora", allow:["presente"], weight:2},
-  {text:"siempre", allow:["presente"], weight:1},
-  {text:"a veces", allow:["presente"], weight:1},
-  {text:"ayer", allow:["preterito"], weight:2},
-  {text:"anoche", allow:["preterito"], weight:1},
-  {text:"el lunes pasado", allow:["preterito"], weight:1},
-  {text:"el año pasado", allow:["preterito"], weight:1},
-  {text:"hace ___ días", allow:["preterito"], weight:1},
-  {text:"de repente", allow:["preterito"], weight:1},
-  {text:"ya", allow:["preterito","presente"], weight:1},
-  {text:"todavía no", allow:["presente"], weight:1},
-  {text:"mañana", allow:["futuro","ir_a"], weight:2},
-  {text:"pasado mañana", allow:["futuro","ir_a"], weight:1},
-  {text:"esta noche", allow:["futuro","ir_a","presente"], weight:1},
-  {text:"el viernes que viene", allow:["futuro","ir_a"], weight:1},
-  {text:"la semana que viene", allow:["futuro","ir_a"], weight:1},
-  {text:"dentro de ___ meses", allow:["futuro","ir_a"], weight:1},
-  {text:"pronto", allow:["futuro","ir_a"], weight:1},
-  {text:"luego", allow:["futuro","ir_a","presente"], weight:1},
-  {text:"más tarde", allow:["futuro","ir_a"], weight:1},
-];
-
-// Specials with simple detectors; some are advanced and award bonus on detection
-const SPECIALS = [
-  {text:"hazlo en negativo", key:"neg"},
-  {text:"haz una pregunta", key:"q"},
-  {text:"usa ‘porque’ o ‘pero’", key:"conj"},
-  {text:"añade un lugar", key:"place"},
-  {text:"añade un tiempo extra", key:"time2"},
-  {text:"usa un objeto directo (lo/la/los/las)", key:"od"},
-  {text:"usa un objeto indirecto (le/les)", key:"oi"},
-  {text:"usa un reflexivo si aplica", key:"refl"},
-  {text:"cambia al plural", key:"plural"},
-  {text:"incluye ‘también’ o ‘tampoco’", key:"tambien"},
-  {text:"encadena dos verbos", key:"twoverbs"},
-  {text:"usa ‘tener que’ + inf", key:"tenerque"},
-  {text:"sin decir ninguna palabra en inglés", key:"noeng"},
-];
-
 // ---------------------- Utils ----------------------
-function sample(arr) { return arr[Math.floor(Math.random()*arr.length)]; }
-function weightedSample(items) {
+function sample(arr, rng = Math.random) { return arr[Math.floor(rng()*arr.length)]; }
+function weightedSample(items, rng = Math.random) {
   const pool = items.flatMap(x => Array((x.weight||1)).fill(x));
-  return sample(pool);
+  return sample(pool, rng);
 }
 
-// Very light heuristic checks — not a full parser; aims for fast feedback
-const detectors = {
-  hasNeg: (s) => /\bno\b/i.test(s),
-  isQuestion: (s) => s.trim().startsWith("¿") && s.trim().endsWith("?"),
-  hasPorqueOPero: (s) => /\bporque\b|\bpero\b/i.test(s),
-  hasPlace: (s) => /\ben (casa|la casa|la escuela|el trabajo|la oficina|el parque|la ciudad)\b|\ben \w+/i.test(s),
-  hasExtraTime: (s) => /\bhoy\b|\bmañana\b|\bayer\b|\best(a|e) (noche|tarde|mañana)\b|\bpasado mañana\b|\bla semana que viene\b|\bel año pasado\b|\bel lunes pasado\b|\bdentro de\b|\bhace\b|\bluego\b|\bpronto\b/i.test(s),
-  hasOD: (s) => /\b(lo|la|los|las)\b/i.test(s),
-  hasOI: (s) => /\b(le|les)\b/i.test(s),
-  hasReflexive: (s) => /\b(me|te|se|nos|se)\b.*\b(bañar|lavar|levantar|llamar|sentar|sentir|vestir|duchar|acostar|acordar|quedar)\w*/i.test(s),
-  hasTambien: (s) => /\btambién\b|\btampoco\b/i.test(s),
-  hasTwoVerbs: (s) => /(\w+\s+){0,4}\b(ir|poder|querer|tener|necesitar|deber|saber)\b\s+\w+\b/i.test(s),
-  hasTenerQue: (s) => /\b(tengo|tienes|tiene|tenemos|tienen) que\b/i.test(s),
-  hasNoEnglish: (s) => !/[A-Za-z]+\b(?=\s|$)/.test(s.normalize("NFD").replace(/[\u0300-\u036f]/g, "")) // naive; we'll skip enforcing
-};
-
-// Tense detection heuristics (loose, fast)
-const tenseCheck = {
-  ir_a: (s) => /\b(voy|vas|va|vamos|van) a\b/i.test(s),
-  futuro: (s) => /\b(é|ás|á|emos|án)\b/.test(s) || /\b(iré|seré|haré|diré|tendré|vendré|pondré|podré|sabré|querré)\b/i.test(s),
-  preterito: (s) => /\b(é|aste|ó|amos|aron|í|iste|ió|imos|ieron)\b/.test(s) || /(fui|fuiste|fue|fuimos|fueron|hice|hizo|tuve|estuve|pude|puse|supe|quise|vine|dije|traje|vi|dio)\b/i.test(s),
-  presente: (s) => !(/\b(voy|vas|va|vamos|van) a\b/i.test(s) || /(é|ás|á|emos|án)\b/.test(s) || /(é|aste|ó|amos|aron|í|iste|ió|imos|ieron)\b/.test(s)),
-};
-
 // ---------------------- Core ----------------------
-function generateDraw({difficulty}) {
-  const subject = sample(SUBJECTS);
-  const tense = sample(TENSES);
+// Pass a seeded `rng` (src/challenge.js) to make the draw reproducible; adaptive draws depend on history, so they never are.
+// The dialect decides which subjects are dealt and the difficulty profile (src/difficulty.js) which verbs, tenses
+// and how many specials; draws outside the neutral dialect or standard difficulty carry them for scoring.
+function generateDraw({difficulty, history = [], adaptive = false, deck = DEFAULT_DECK, dialect = DEFAULT_DIALECT, rng = Math.random}) {
+  const profile = getDifficulty(difficulty);
+  const tenses = tensesFor(profile.key);
+  const subjects = getDialect(dialect).subjects;
+  // Verbs and specials the profile allows, unless a custom deck has nothing else
+  const allowedVerbs = deck.verbs.filter(v => verbWeight(profile, v) > 0);
+  const verbPool = allowedVerbs.length ? allowedVerbs : deck.verbs;
+  const allowedSpecials = deck.specials.filter(s => !profile.specials.exclude.includes(s.key));
+  const specialsPool = allowedSpecials.length ? allowedSpecials : deck.specials;
+
+  // Adaptive mode weights every card by past results; `baseWeight` is the profile's own bias (irregular-heavy verbs)
+  const plan = adaptive && history.length ? adaptivePlan(history) : null;
+  const pick = (items, dim, valueOf, baseWeight = null) => plan || baseWeight
+    ? weightedPick(items, x => (baseWeight ? baseWeight(x) : 1) * (plan ? dimensionWeight(plan, dim, valueOf(x)) : 1), rng)
+    : sample(items, rng);
+
+  // Occasionally re-deal a mastered combination whose review interval has elapsed, if this
+  // difficulty, deck and dialect can still deal it (vosotros reviews wait for a dialect that has vosotros)
+  const review = plan && shouldReview(rng)
+    ? dueReviews(plan).find(c => tenses.some(t => t.key === c.tenseKey) && verbPool.some(v => verbLabel(v) === c.verb)
+      && subjects.some(s => personOf(s) === c.person))
+    : null;
+
+  let subject, tense, verb;
+  for (let tries = 0; tries < 10; tries++) {
+    if (review) {
+      subject = sample(subjects.filter(s => personOf(s) === review.person), rng);
+      tense = tenses.find(t => t.key === review.tenseKey);
+      verb = verbPool.find(v => verbLabel(v) === review.verb);
+      break;
+    }
+    subject = pick(subjects, "person", personOf);
+    tense = pick(tenses, "tense", t => t.key);
+    verb = pick(verbPool, "verb", verbLabel, v => verbWeight(profile, v) || 1);
+    // Mastered combinations stay out of the deck until they are due again
+    if (!plan || !isResting(plan, {verb: verbLabel(verb), tenseKey: tense.key, subject})) break;
+  }
 
   // Filter time cues by tense compatibility
-  const cues = TIME_CUES.filter(c => c.allow.includes(tense.key));
-  const timeCue = weightedSample(cues);
-
-  // Specials: constrain in easy mode
-  const specialsPool = difficulty === "easy" ? SPECIALS.filter(s => !["refl","plural"].includes(s.key)) : SPECIALS;
-  const special = sample(specialsPool);
-
-  const verb = sample(VERBS);
-  return { subject, verb: verb.inf, tense: tense.name, tenseKey: tense.key, timeCue: timeCue.text, special: special.text, specialKey: special.key };
+  const cues = deck.timeCues.filter(c => c.allow.includes(tense.key));
+  const timeCue = weightedSample(cues, rng);
+
+  // Wild cards carry two or three specials that can share a sentence
+  const {min, max} = profile.specials;
+  const count = max > min ? min + Math.floor(rng() * (max - min + 1)) : min;
+  const specials = dealSpecials(specialsPool, count, options => pick(options, "special", sp => sp.key)).map(({key, text}) => ({key, text}));
+
+  const draw = { subject, verb: verbLabel(verb), tense: tense.name, tenseKey: tense.key, timeCue: timeCue.text,
+    special: specials.map(sp => sp.text).join(" + "), specialKey: specials[0].key,
+    ...(specials.length > 1 ? {specials} : {}),
+    ...(profile.key !== DEFAULT_DIFFICULTY ? {difficulty: profile.key} : {}),
+    ...(dialect !== DEFAULT_DIALECT ? {dialect} : {}) };
+  return plan ? {...draw, why: explainDraw(plan, draw, review)} : draw;
 }
 
-function scoreSentence(s, draw) {
-  const original = s.trim();
-  const sent = original.normalize("NFC");
-  const notes = [];
-  let score = 0;
-
-  // 1) Time cue integration
-  const cueOK = new RegExp(draw.timeCue.replace(/([.*+?^${}()|[\]\\])/g, "\\$1"), "i").test(sent);
-  if (cueOK) { score += 1; } else { notes.push(`Añade la señal de tiempo: “${draw.timeCue}”.`); }
-
-  // 2) Tense compliance
-  const tenseOK = tenseCheck[draw.tenseKey] ? tenseCheck[draw.tenseKey](sent) : false;
-  if (tenseOK) { score += 2; } else { notes.push(`La forma verbal no coincide con el tiempo: ${draw.tense}.`); }
-
-  // 3) Special condition
-  let specialOK = false;
-  switch (draw.specialKey) {
-    case "neg": specialOK = detectors.hasNeg(sent); break;
-    case "q": specialOK = detectors.isQuestion(sent); break;
-    case "conj": specialOK = detectors.hasPorqueOPero(sent); break;
-    case "place": specialOK = detectors.hasPlace(sent); break;
-    case "time2": specialOK = (sent.match(/\b(hoy|mañana|ayer|esta noche|esta tarde|esta mañana|pasado mañana|la semana que viene|el año pasado|el lunes pasado|dentro de|hace|luego|pronto)\b/gi)||[]).length >= 2; break;
-    case "od": specialOK = detectors.hasOD(sent); break;
-    case "oi": specialOK = detectors.hasOI(sent); break;
-    case "refl": specialOK = detectors.hasReflexive(sent); break;
-    case "plural": specialOK = /(nosotros|ustedes|ellos|ellas)\b/i.test(sent) || /\b(los|las)\b/i.test(sent); break;
-    case "tambien": specialOK = detectors.hasTambien(sent); break;
-    case "twoverbs": specialOK = detectors.hasTwoVerbs(sent); break;
-    case "tenerque": specialOK = detectors.hasTenerQue(sent); break;
-    case "noeng": specialOK = true; break; // Soft — not enforced strictly here
-    default: specialOK = false;
-  }
-  if (specialOK) { score += 2; } else { notes.push(`Falta la condición especial: “${draw.special}”.`); }
-
-  // 4) Subject presence (soft check)
-  const subjOK = new RegExp(`\\b${draw.subject}\\b`, "i").test(sent);
-  if (subjOK) { score += 1; } else { notes.push(`Incluye o infiere el sujeto: “${draw.subject}”.`); }
-
-  // 5) Bonus for irregular star verbs mentioned and tense seems right
-  const starred = /★/.test(draw.verb);
-  if (starred && tenseOK) { score += 1; }
-
-  // 6) Fluency feel (length & punctuation simple proxy)
-  const words = sent.split(/\s+/).filter(Boolean).length;
-  if (words >= 5 && /[\.!?¿¡]/.test(sent)) { score += 1; }
-
-  const max = 9; // local rubric (1 cue + 2 tense + 2 special + 1 subject +1 star +1 fluency)
-  return {score, max, notes};
+// Draw `index` of a seeded challenge: always the built-in deck and neutral dialect, never adaptive
+function challengeDraw(challenge, index) {
+  return generateDraw({difficulty: challenge.difficulty, rng: drawRandom(challenge, index)});
 }
 
-function promptForJudge(draw, sentence) {
-  return `You are a Spanish grammar judge. Evaluate the player sentence strictly for the given draw.\n\nDRAW:\nSubject: ${draw.subject}\nVerb (infinitive): ${draw.verb}\nTense: ${draw.tense}\nTime cue: ${draw.timeCue}\nSpecial: ${draw.special}\n\nTASK:\n1) Score 0–10 on: conjugation accuracy (0–4), tense-time coherence (0–3), special condition (0–2), naturalness (0–1).\n2) Provide a one-line corrected version (if needed).\n3) Briefly explain the key error(s) in English.\n\nPLAYER SENTENCE:\n${sentence}`;
+// A challenge link in the URL: {seed, difficulty, index} or null
+function challengeFromHash() {
+  const link = parseChallengeHash(window.location.hash);
+  return link ? {...link.challenge, index: link.index} : null;
 }
 
 export default function TiempoMadnessApp() {
-  const [difficulty, setDifficulty] = useState("standard");
-  const [draw, setDraw] = useState(() => generateDraw({difficulty:"standard"}));
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [adaptive, setAdaptive] = useState(false);
+  const [dialect, setDialect] = useState(loadDialect);
+  const [decks, setDecks] = useState(loadDecks); // custom decks; the built-in one is always available
+  const [deckId, setDeckId] = useState(loadActiveDeckId);
+  const [showDecks, setShowDecks] = useState(false);
+  const deck = decks.find(d => d.id === deckId) || DEFAULT_DECK;
+  const [challenge, setChallenge] = useState(challengeFromHash); // seeded challenge in progress: {seed, difficulty, index}
+  const [draw, setDraw] = useState(() => challenge ? challengeDraw(challenge, challenge.index) : generateDraw({difficulty: DEFAULT_DIFFICULTY, deck, dialect}));
   const [sentence, setSentence] = useState("");
   const [result, setResult] = useState(null);
+  const [hintsShown, setHintsShown] = useState(0); // hint tiers revealed for the current draw
   const [history, setHistory] = useState([]);
-  const [scoringMode, setScoringMode] = useState("cloud"); // "cloud", "ollama", or "offline"
-  const [ollamaUrl, setOllamaUrl] = useState("http://localhost:11434");
-  const [ollamaModel, setOllamaModel] = useState("llama3");
+  const [showStats, setShowStats] = useState(false);
+  const [playMode, setPlayMode] = useState("solo"); // "solo", "party" (hot-seat), "timed", "class" or "story"
+  const [scoringMode, setScoringMode] = useState("cloud"); // id of a provider in src/scorers
+  const [scorerConfigs, setScorerConfigs] = useState(defaultScorerConfigs);
   const [apiError, setApiError] = useState(null);
   const [isScoring, setIsScoring] = useState(false);
+  const [judgeReply, setJudgeReply] = useState(null); // streamed judge output while scoring, null until it starts
+  const scoringAbort = useRef(null);
+
+  // Restore persisted attempts; anything scored before loading finishes is kept on top
+  useEffect(() => {
+    loadHistory()
+      .then(stored => setHistory(h => mergeHistory(h, stored).merged))
+      .catch(error => console.error('Failed to load history:', error));
+  }, []);
+
+  const recordAttempt = (r, attempt) => {
+    const entry = {id: makeAttemptId(), ts: new Date().toISOString(), ...attempt, r};
+    setHistory(h => [entry, ...h]);
+    saveAttempts([entry]).catch(error => console.error('Failed to save attempt:', error));
+  };
 
-  const newDraw = () => {
-    const d = generateDraw({difficulty});
+  const importHistory = async (attempts) => {
+    const {added} = mergeHistory(history, attempts);
+    await saveAttempts(added);
+    setHistory(h => mergeHistory(h, added).merged);
+    return added.length;
+  };
+
+  // `settings` overrides the current deck, dialect or difficulty, for a change that hasn't rendered yet
+  const dealFresh = (settings = {}) => {
+    const d = generateDraw({difficulty, history, adaptive, deck, dialect, ...settings});
     setDraw(d);
     setSentence("");
     setResult(null);
+    setHintsShown(0);
   };
 
-  const scoreWithCloudAI = async (sentence, draw) => {
-    // Call our Vercel serverless function instead of OpenAI directly
-    const response = await fetch('/api/score', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        sentence,
-        draw
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API request failed with status ${response.status}`);
-    }
+  // ---------------------- Challenges ----------------------
+  const openChallenge = (ch) => {
+    setChallenge(ch);
+    setDraw(challengeDraw(ch, ch.index));
+    setSentence("");
+    setResult(null);
+    setHintsShown(0);
+    setPlayMode("solo");
+  };
+  const startChallenge = (ch) => openChallenge({...ch, index: 0});
+  const leaveChallenge = () => {
+    setChallenge(null);
+    dealFresh();
+  };
 
-    const parsed = await response.json();
-
-    // Format the feedback with score breakdown
-    const breakdown = [
-      `Conjugation accuracy: ${parsed.conjugationScore}/4`,
-      `Tense-time coherence: ${parsed.tenseTimeScore}/3`,
-      `Special condition: ${parsed.specialConditionScore}/2`,
-      `Naturalness: ${parsed.naturalnessScore}/1`
-    ];
-
-    return {
-      totalScore: parsed.totalScore,
-      breakdown,
-      explanation: parsed.explanation,
-      correctedVersion: parsed.correctedVersion
-    };
+  // In a challenge, "New Draw" moves on to the next seeded draw
+  const newDraw = () => {
+    if (!challenge) dealFresh();
+    else if (challenge.index + 1 < CHALLENGE_DRAWS) openChallenge({...challenge, index: challenge.index + 1});
   };
 
-  const scoreWithOllama = async (sentence, draw) => {
-    const prompt = `You are a Spanish grammar judge. Evaluate the player sentence strictly for the given draw.
-
-DRAW:
-Subject: ${draw.subject}
-Verb (infinitive): ${draw.verb}
-Tense: ${draw.tense}
-Time cue: ${draw.timeCue}
-Special: ${draw.special}
-
-TASK:
-1) Score 0–10 on: conjugation accuracy (0–4), tense-time coherence (0–3), special condition (0–2), naturalness (0–1).
-2) Provide a one-line corrected version (if needed).
-3) Briefly explain the key error(s) in English.
-
-PLAYER SENTENCE:
-${sentence}
-
-Provide a JSON response with this exact structure:
-{
-  "totalScore": <number 0-10>,
-  "conjugationScore": <number 0-4>,
-  "tenseTimeScore": <number 0-3>,
-  "specialConditionScore": <number 0-2>,
-  "naturalnessScore": <number 0-1>,
-  "correctedVersion": "<corrected sentence or 'Perfect!' if correct>",
-  "explanation": "<brief explanation of key errors or strengths>"
-}`;
-
-    const response = await fetch(`${ollamaUrl}/api/chat`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: ollamaModel,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert Spanish language teacher. Always respond with valid JSON only.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        stream: false,
-        options: {
-          temperature: 0.3,
-          num_predict: 500
-        }
-      })
+  // First score on each draw of the current challenge, rebuilt from history so a reload keeps progress.
+  // Keyed on the seed alone: moving between its draws doesn't change the results
+  const challengeSeed = challenge ? challenge.seed : null;
+  const challengeResults = useMemo(() => {
+    if (!challengeSeed) return [];
+    const results = [];
+    [...history].reverse().forEach(h => {
+      if (h.challenge === challengeSeed && h.challengeDraw !== undefined && !results[h.challengeDraw]) results[h.challengeDraw] = h.r;
     });
+    return results;
+  }, [history, challengeSeed]);
+
+  // Keep the URL pointing at the current challenge draw, and follow challenge links pasted into this tab
+  useEffect(() => {
+    const hash = challenge ? challengeHash(challenge, challenge.index) : "";
+    if (window.location.hash !== hash) window.history.replaceState(null, "", hash || window.location.pathname + window.location.search);
+  }, [challenge]);
+  useEffect(() => {
+    const onHash = () => { const ch = challengeFromHash(); if (ch) openChallenge(ch); };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  useEffect(() => { saveDecks(decks); }, [decks]);
+  useEffect(() => { saveActiveDeckId(deck.id); }, [deck.id]);
+  useEffect(() => { saveDialect(dialect); }, [dialect]);
+
+  // A different (or edited) deck, another dialect or difficulty deals a fresh card straight away;
+  // a challenge keeps its seeded draw
+  const redeal = (settings) => {
+    if (!challenge) dealFresh(settings);
+  };
+  const changeDifficulty = (key) => {
+    setDifficulty(key);
+    redeal({difficulty: key});
+  };
+  const changeDialect = (key) => {
+    setDialect(key);
+    redeal({dialect: key});
+  };
+  const selectDeck = (d) => {
+    setDeckId(d.id);
+    if (d.id !== deck.id) redeal({deck: d});
+  };
+  const saveDeck = (d) => {
+    setDecks(list => list.some(x => x.id === d.id) ? list.map(x => (x.id === d.id ? d : x)) : [...list, d]);
+    if (d.id === deck.id) redeal({deck: d});
+  };
+  const deleteDeck = (id) => {
+    setDecks(list => list.filter(d => d.id !== id));
+    setDeckId(DEFAULT_DECK.id);
+    if (id === deck.id) redeal({deck: DEFAULT_DECK});
+  };
 
-    if (!response.ok) {
-      throw new Error(`Ollama request failed with status ${response.status}. Is Ollama running?`);
-    }
+  const scorer = getScorer(scoringMode);
 
-    const data = await response.json();
-    const content = data.message.content;
+  // Score with the selected provider (or `using`), falling back to the heuristic scorer on failure; records the attempt.
+  // A judge that couldn't be reached gets the attempt again later (src/rescore.js). `extra.hints` (tiers revealed) caps the score.
+  // `run` ({signal, onProgress}) goes to the provider; a cancelled attempt resolves to null and is not recorded.
+  const scoreAttempt = async (sentence, draw, extra = {}, using = scorer, run = {}) => {
+    setApiError(null);
+    let r;
+    let rescore = null;
+    try {
+      r = await using.score(sentence, draw, scorerConfigs[using.id], run);
+    } catch (error) {
+      if (isCancelled(error)) return null;
+      console.error('AI scoring error:', error);
+      const described = describeScoringError(error);
+      if (isRetryable(error)) {
+        rescore = {scorer: using.id, config: scorerConfigs[using.id]};
+        described.hint = `${described.hint} It will be re-scored with ${using.label} once that is reachable again.`;
+      }
+      setApiError(described);
 
-    // Parse the JSON response
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Invalid response format from Ollama');
+      // Fall back to local scoring
+      r = await FALLBACK_SCORER.score(sentence, draw, scorerConfigs[FALLBACK_SCORER.id]);
     }
-
-    const parsed = JSON.parse(jsonMatch[0]);
-
-    // Format the feedback with score breakdown
-    const breakdown = [
-      `Conjugation accuracy: ${parsed.conjugationScore}/4`,
-      `Tense-time coherence: ${parsed.tenseTimeScore}/3`,
-      `Special condition: ${parsed.specialConditionScore}/2`,
-      `Naturalness: ${parsed.naturalnessScore}/1`
-    ];
-
-    return {
-      totalScore: parsed.totalScore,
-      breakdown,
-      explanation: parsed.explanation,
-      correctedVersion: parsed.correctedVersion
-    };
+    r = applyHints(r, extra.hints);
+    recordAttempt(r, {draw, sentence, ...extra, ...(rescore ? {rescore} : {})});
+    return r;
   };
 
-  const doScore = async () => {
+  // Story coherence with the selected provider, or the offline check when it fails. Not recorded: the
+  // story's sentences are, each as its own attempt. Resolves to null when cancelled through `run.signal`.
+  const scoreStoryAttempt = async (entries, run = {}) => {
     setApiError(null);
-    setIsScoring(true);
+    try {
+      return await scorer.scoreStory(entries, scorerConfigs[scorer.id], run);
+    } catch (error) {
+      if (isCancelled(error)) return null;
+      console.error('AI story scoring error:', error);
+      setApiError(describeScoringError(error));
+      return FALLBACK_SCORER.scoreStory(entries, scorerConfigs[FALLBACK_SCORER.id]);
+    }
+  };
 
+  // ---------------------- Offline re-scoring ----------------------
+  const pendingCount = useMemo(() => pendingRescores(history).length, [history]);
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  const rescoring = useRef(false);
+
+  // A cancelled story's sentences stay in history, marked so they don't read as a finished story
+  const markStoryUnfinished = (story) => {
+    const marked = historyRef.current.filter(h => h.story === story).map(h => ({...h, storyUnfinished: true}));
+    const byId = new Map(marked.map(h => [h.id, h]));
+    setHistory(list => list.map(h => byId.get(h.id) || h));
+    saveAttempts(marked).catch(error => console.error('Failed to save attempt:', error));
+  };
+
+  // Reads history through a ref, so one function serves the timer and listeners for the whole visit
+  const retryRescores = useCallback(async () => {
+    const pending = pendingRescores(historyRef.current);
+    if (rescoring.current || !pending.length) return;
+    rescoring.current = true;
     try {
-      if (scoringMode === 'cloud') {
-        // Cloud AI mode: use Vercel serverless function
-        const aiResult = await scoreWithCloudAI(sentence, draw);
-        const r = {
-          score: aiResult.totalScore,
-          max: 10,
-          notes: [...aiResult.breakdown, '', aiResult.explanation],
-          corrected: aiResult.correctedVersion,
-          source: 'cloud'
-        };
-        setResult(r);
-        setHistory([{ts: new Date().toISOString(), draw, sentence, r}, ...history].slice(0,50));
-      } else if (scoringMode === 'ollama') {
-        // Local Ollama mode
-        const aiResult = await scoreWithOllama(sentence, draw);
-        const r = {
-          score: aiResult.totalScore,
-          max: 10,
-          notes: [...aiResult.breakdown, '', aiResult.explanation],
-          corrected: aiResult.correctedVersion,
-          source: 'ollama'
-        };
-        setResult(r);
-        setHistory([{ts: new Date().toISOString(), draw, sentence, r}, ...history].slice(0,50));
-      } else {
-        // Offline mode: use local heuristic scoring
-        const r = scoreSentence(sentence, draw);
-        setResult(r);
-        setHistory([{ts: new Date().toISOString(), draw, sentence, r}, ...history].slice(0,50));
+      const {upgraded, dropped} = await drainRescores(pending, async (h) => {
+        const r = await getScorer(h.rescore.scorer).score(h.sentence, h.draw, h.rescore.config);
+        return applyHints(r, h.hints);
+      });
+      const changed = new Map([...upgraded, ...dropped].map(h => [h.id, h]));
+      if (changed.size) {
+        setHistory(list => list.map(h => changed.get(h.id) || h));
+        await saveAttempts([...changed.values()]);
       }
     } catch (error) {
-      console.error('AI scoring error:', error);
-      setApiError(error.message);
+      console.error('Failed to re-score attempts:', error);
+    } finally {
+      rescoring.current = false;
+    }
+  }, []);
+
+  // Retry when the browser comes back online, and on a timer for judges that were merely down.
+  // Attempts left over from an earlier visit are tried straight away.
+  const hasPending = pendingCount > 0;
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const oldest = pendingRescores(historyRef.current)[0];
+    if (Date.now() - Date.parse(oldest.ts) > RESCORE_RETRY_MS) retryRescores();
+    const timer = setInterval(retryRescores, RESCORE_RETRY_MS);
+    window.addEventListener("online", retryRescores);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", retryRescores);
+    };
+  }, [hasPending, retryRescores]);
 
-      // Fall back to local scoring
-      const r = scoreSentence(sentence, draw);
-      setResult(r);
-      setHistory([{ts: new Date().toISOString(), draw, sentence, r}, ...history].slice(0,50));
+  const doScore = async () => {
+    const controller = new AbortController();
+    scoringAbort.current = controller;
+    setIsScoring(true);
+    setJudgeReply(null);
+    try {
+      const extra = {
+        ...(challenge ? {mode: "challenge", challenge: challenge.seed, challengeDraw: challenge.index} : {}),
+        ...(hintsShown ? {hints: hintsShown} : {}),
+      };
+      const r = await scoreAttempt(sentence, draw, extra, scorer, {signal: controller.signal, onProgress: setJudgeReply});
+      if (r) setResult({...r, sentence}); // keep the scored text for highlighting
     } finally {
+      scoringAbort.current = null;
       setIsScoring(false);
+      setJudgeReply(null);
     }
   };
 
+  // The Score button turns into Cancel while a judge is working; the draw and sentence stay as they were
+  const cancelScore = () => scoringAbort.current?.abort();
+
+
   const copyPrompt = async () => {
-    const txt = promptForJudge(draw, sentence || "(no sentence typed)");
+    const txt = buildJudgePrompt(draw, sentence || "(no sentence typed)", {json: false});
     await navigator.clipboard.writeText(txt);
     alert("Judge prompt copied. Paste into ChatGPT to get an expert score.");
   };
 
+  // ---------------------- Keyboard play ----------------------
+  const sentenceRef = useRef(null);
+  useShortcuts({
+    "mod+enter": () => (isScoring ? cancelScore() : doScore()),
+    "n": () => { newDraw(); sentenceRef.current?.focus(); },
+    "c": copyPrompt,
+    "/": () => sentenceRef.current?.focus(),
+    "escape": (e) => { if (e.target === sentenceRef.current) e.target.blur(); },
+  }, playMode === "solo");
+
+  // Read out by screen readers: the score just given, or the card once it is dealt (dealing clears the result)
+  const announcement = result
+    ? `${getScorer(result.source).resultLabel}: ${result.score} / ${result.max}. ${result.notes.join(" ")}`
+    : `Draw: ${draw.subject}, ${draw.verb}, ${draw.tense}, ${draw.timeCue}. ${draw.special}.`;
+
   return (
     <div className="min-h-screen p-6 md:p-10 bg-slate-50 text-slate-900">
       <div className="max-w-4xl mx-auto space-y-6">
         <header className="space-y-4">
           <div className="flex items-center justify-between">
-            <h1 className="text-2xl md:text-3xl font-semibold">Tiempo Madness</h1>
+            <div className="flex items-center gap-3">
+              <h1 className="text-2xl md:text-3xl font-semibold">Tiempo Madness</h1>
+              <select className="border rounded-lg px-2 py-1 bg-white text-sm" value={playMode} onChange={e=>setPlayMode(e.target.value)} aria-label="Play mode">
+                <option value="solo">🎯 Solo</option>
+                <option value="party">🎉 Party (hot-seat)</option>
+                <option value="timed">⏱️ Timed challenge</option>
+                <option value="class">🏫 Classroom</option>
+                <option value="story">📖 Story</option>
+              </select>
+            </div>
             <div className="flex items-center gap-2">
               <label className="text-sm">Difficulty</label>
-              <select className="border rounded-lg px-2 py-1 bg-white" value={difficulty} onChange={e=>setDifficulty(e.target.value)}>
-                <option value="easy">Easy (no tricky specials)</option>
-                <option value="standard">Standard</option>
-                <option value="wild">Wild (anything goes)</option>
+              <select className="border rounded-lg px-2 py-1 bg-white disabled:opacity-50" value={challenge ? challenge.difficulty : difficulty} onChange={e=>changeDifficulty(e.target.value)} disabled={Boolean(challenge)} title={challenge ? "Set by the challenge" : undefined}>
+                {DIFFICULTIES.map(d => <option key={d.key} value={d.key}>{d.name} ({d.summary})</option>)}
+              </select>
+              <select className="border rounded-lg px-2 py-1 bg-white" value={dialect} onChange={e=>changeDialect(e.target.value)} aria-label="Dialect" title="Which subjects are dealt and which forms are expected">
+                {DIALECTS.map(d => <option key={d.key} value={d.key}>{d.name}</option>)}
               </select>
-              <button onClick={newDraw} className="ml-2 px-3 py-2 rounded-xl shadow bg-indigo-600 text-white hover:shadow-md">New Draw</button>
+              <label className="flex items-center gap-1 text-sm" title="Weight draws towards your weak spots and schedule reviews of mastered combinations">
+                <input type="checkbox" checked={adaptive} onChange={e=>setAdaptive(e.target.checked)} />
+                Adaptive
+              </label>
+              <button
+                onClick={newDraw}
+                disabled={challenge && challenge.index + 1 >= CHALLENGE_DRAWS}
+                className="ml-2 px-3 py-2 rounded-xl shadow bg-indigo-600 text-white hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {challenge ? "Next Draw" : "New Draw"}
+              </button>
+              <button onClick={()=>startChallenge(dailyChallenge())} title="Same five draws for everyone today" className="px-3 py-2 rounded-xl border bg-white hover:shadow-md">🗓️ Daily</button>
+              <button onClick={()=>startChallenge({seed: randomSeed(), difficulty})} title="Five seeded draws you can share as a link" className="px-3 py-2 rounded-xl border bg-white hover:shadow-md">🎲 Challenge</button>
+              <button onClick={()=>setShowDecks(v=>!v)} aria-pressed={showDecks} className="px-3 py-2 rounded-xl border bg-white hover:shadow-md">🃏 Decks</button>
+              <button onClick={()=>setShowStats(v=>!v)} aria-pressed={showStats} className="px-3 py-2 rounded-xl border bg-white hover:shadow-md">📈 Progress</button>
             </div>
           </div>
           
@@ -401,142 +440,157 @@ Provide a JSON response with this exact structure:
                 value={scoringMode}
                 onChange={e => setScoringMode(e.target.value)}
               >
-                <option value="cloud">☁️ Cloud AI (OpenAI via server)</option>
-                <option value="ollama">🏠 Local AI (Ollama)</option>
-                <option value="offline">📊 Offline (heuristic scoring)</option>
+                {SCORERS.map(sc => <option key={sc.id} value={sc.id}>{sc.label}</option>)}
               </select>
             </div>
 
-            {scoringMode === 'ollama' && (
-              <div className="flex gap-3 pl-6 border-l-2 border-slate-200">
-                <div className="flex-1">
-                  <label className="text-xs text-slate-600">Ollama URL</label>
-                  <input
-                    type="text"
-                    placeholder="http://localhost:11434"
-                    value={ollamaUrl}
-                    onChange={e => setOllamaUrl(e.target.value)}
-                    className="w-full px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-400"
-                  />
-                </div>
-                <div className="flex-1">
-                  <label className="text-xs text-slate-600">Model</label>
-                  <input
-                    type="text"
-                    placeholder="llama3"
-                    value={ollamaModel}
-                    onChange={e => setOllamaModel(e.target.value)}
-                    className="w-full px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-400"
-                  />
-                </div>
-              </div>
+            {scorer.ConfigPanel ? (
+              <scorer.ConfigPanel
+                config={scorerConfigs[scorer.id]}
+                onChange={config => setScorerConfigs(c => ({...c, [scorer.id]: config}))}
+              />
+            ) : scorer.description && (
+              <div className="text-xs text-slate-600 pl-6">{scorer.description}</div>
             )}
 
-            {scoringMode === 'cloud' && (
-              <div className="text-xs text-slate-600 pl-6">
-                Using server-side OpenAI API (no API key needed from you)
-              </div>
-            )}
-
-            {scoringMode === 'offline' && (
-              <div className="text-xs text-slate-600 pl-6">
-                Using local pattern-matching heuristics only
+            {pendingCount > 0 && (
+              <div className="flex items-center gap-2 pl-6 text-xs text-slate-600">
+                ⏳ {pendingCount} attempt{pendingCount === 1 ? "" : "s"} scored locally, waiting to be re-scored by the AI judge.
+                <button onClick={retryRescores} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-slate-50">Retry now</button>
               </div>
             )}
           </div>
           
           {apiError && (
-            <div className="p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
-              <span className="font-medium">⚠️ AI Scoring Error:</span> {apiError}
-              <span className="block mt-1 text-xs">Falling back to local heuristic scoring.</span>
+            <div className={`p-3 border rounded-xl text-sm ${['network', 'failed', 'invalid'].includes(apiError.kind) ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-sky-50 border-sky-200 text-sky-800'}`}>
+              <span className="font-medium">{apiError.title}</span> {apiError.message}
+              <span className="block mt-1 text-xs">{apiError.hint}</span>
             </div>
           )}
         </header>
 
-        <section className="grid md:grid-cols-2 gap-4">
-          <Card title="Draw">
-            <ul className="space-y-2">
-              <Li label="Sujeto" value={draw.subject} />
-              <Li label="Verbo" value={draw.verb} />
-              <Li label="Tiempo" value={draw.tense} />
-              <Li label="Señal de tiempo" value={draw.timeCue} />
-              <Li label="Especial" value={draw.special} />
-            </ul>
-            <p className="mt-3 text-sm text-slate-600">All draws are filtered to be tense‑compatible with the time cue.</p>
-          </Card>
-
-          <Card title="Your Sentence">
-            <textarea
-              className="w-full h-36 p-3 border rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-400 bg-white"
-              placeholder="Escribe tu oración aquí…"
-              value={sentence}
-              onChange={e=>setSentence(e.target.value)}
-            />
-            <div className="flex gap-2 mt-2">
-              <button
-                onClick={doScore}
-                disabled={isScoring}
-                className="px-3 py-2 rounded-xl shadow bg-emerald-600 text-white hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {isScoring ? 'Scoring...' : 'Score'}
-              </button>
-              <button onClick={copyPrompt} className="px-3 py-2 rounded-xl shadow bg-slate-800 text-white hover:shadow-md">Copy Judge Prompt</button>
-            </div>
-            {result && (
-              <div className="mt-3 rounded-xl border bg-white p-3">
-                <p className="font-medium">
-                  {result.source === 'cloud' ? '☁️ Cloud AI Score' : result.source === 'ollama' ? '🏠 Ollama Score' : '📊 Local score'}: {result.score} / {result.max}
-                </p>
-                {result.notes.length>0 && (
-                  <ul className="list-disc ml-5 mt-1 text-sm text-slate-700 space-y-1">
-                    {result.notes.map((n,i)=>(<li key={i}>{n}</li>))}
-                  </ul>
-                )}
-                {result.corrected && result.corrected !== 'Perfect!' && (
-                  <div className="mt-2 pt-2 border-t text-sm">
-                    <span className="font-medium text-slate-600">Suggested correction:</span>
-                    <p className="text-emerald-700 mt-1">{result.corrected}</p>
-                  </div>
-                )}
+        {challenge && playMode === "solo" && (
+          <ChallengePanel
+            challenge={challenge}
+            results={challengeResults}
+            onGoTo={index => openChallenge({...challenge, index})}
+            onExit={leaveChallenge}
+          />
+        )}
+
+        {showDecks && (
+          <section>
+            <DeckEditor decks={decks} activeId={deck.id} onSelect={selectDeck} onSave={saveDeck} onDelete={deleteDeck} />
+          </section>
+        )}
+
+        {playMode === "party" ? (
+          <PartyMode
+            deal={() => generateDraw({difficulty, deck, dialect})}
+            score={(sentence, draw, player) => scoreAttempt(sentence, draw, {player})}
+            scorerLabel={scorer.label}
+          />
+        ) : playMode === "timed" ? (
+          <TimedMode
+            deal={() => generateDraw({difficulty, deck, dialect})}
+            scoreInstant={(sentence, draw) => scoreAttempt(sentence, draw, {mode: "timed"}, FALLBACK_SCORER)}
+            scoreSelected={(sentence, draw) => scoreAttempt(sentence, draw, {mode: "timed"})}
+            aiLabel={scorer === FALLBACK_SCORER ? null : scorer.label}
+          />
+        ) : playMode === "class" ? (
+          <ClassroomMode
+            deal={() => generateDraw({difficulty, deck, dialect})}
+            score={(sentence, draw) => scoreAttempt(sentence, draw, {mode: "class"})}
+          />
+        ) : playMode === "story" ? (
+          <StoryMode
+            deal={() => generateDraw({difficulty, deck, dialect})}
+            score={(sentence, draw, extra, run) => scoreAttempt(sentence, draw, {mode: "story", ...extra}, scorer, run)}
+            scoreStory={scoreStoryAttempt}
+            onCancel={markStoryUnfinished}
+            scorerLabel={scorer.label}
+          />
+        ) : (
+          <section className="grid md:grid-cols-2 gap-4">
+            <Card title="Draw">
+              <ul className="space-y-2">
+                <Li label="Sujeto" value={draw.subject} />
+                <Li label="Verbo" value={draw.verb} />
+                <Li label="Tiempo" value={draw.tense} />
+                <Li label="Señal de tiempo" value={draw.timeCue} />
+                <Li label={draw.specials ? "Especiales" : "Especial"} value={draw.special} />
+              </ul>
+              {draw.why && (
+                <p className="mt-3 text-xs px-2 py-1 rounded-lg bg-indigo-50 text-indigo-800">🎯 Why this draw: {draw.why}</p>
+              )}
+              <p className="mt-3 text-sm text-slate-600">All draws are filtered to be tense‑compatible with the time cue.</p>
+              <HintsPanel draw={draw} shown={hintsShown} onReveal={() => setHintsShown(n => n + 1)} />
+            </Card>
+
+            <Card title="Your Sentence">
+              <AccentBar inputRef={sentenceRef} value={sentence} onChange={setSentence} />
+              <textarea
+                ref={sentenceRef}
+                aria-label="Your sentence"
+                className="w-full h-36 p-3 border rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-400 bg-white"
+                placeholder="Escribe tu oración aquí…"
+                value={sentence}
+                onChange={e=>setSentence(e.target.value)}
+              />
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={isScoring ? cancelScore : doScore}
+                  className={`px-3 py-2 rounded-xl shadow text-white hover:shadow-md ${isScoring ? "bg-rose-600" : "bg-emerald-600"}`}
+                >
+                  {isScoring ? 'Cancel' : 'Score'}
+                </button>
+                <button onClick={copyPrompt} className="px-3 py-2 rounded-xl shadow bg-slate-800 text-white hover:shadow-md">Copy Judge Prompt</button>
               </div>
-            )}
-          </Card>
-        </section>
+              {isScoring && (
+                <div className="mt-2 text-xs text-slate-500">
+                  {judgeReply === null
+                    ? `Scoring with ${scorer.label}… (a local model may take a while to load)`
+                    : `The judge is replying… ${judgeReply.length} characters so far`}
+                  {judgeReply && <pre className="mt-1 p-2 rounded-lg bg-slate-100 whitespace-pre-wrap break-all max-h-24 overflow-hidden">{judgeReply.slice(-240)}</pre>}
+                </div>
+              )}
+              <p className="mt-2 text-xs text-slate-500">
+                {SHORTCUTS.map((sc, i) => (
+                  <span key={sc.keys}>{i > 0 && " · "}<kbd className="px-1 rounded border bg-slate-50 font-sans">{sc.keys}</kbd> {sc.action}</span>
+                ))}
+              </p>
+              <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
+              {result && (
+                <div className="mt-3 rounded-xl border bg-white p-3">
+                  <p className="font-medium">
+                    {getScorer(result.source).resultLabel}: {result.score} / {result.max}
+                  </p>
+                  {result.notes.length>0 && (
+                    <ul className="list-disc ml-5 mt-1 text-sm text-slate-700 space-y-1">
+                      {result.notes.map((n,i)=>(<li key={i}>{n}</li>))}
+                    </ul>
+                  )}
+                  <SpecialHighlights sentence={result.sentence} r={result} />
+                  {correctionOf(result) && (
+                    <div className="mt-2 pt-2 border-t text-sm">
+                      <span className="font-medium text-slate-600">Suggested correction:</span>
+                      <CorrectionDiff sentence={result.sentence} corrected={correctionOf(result)} draw={draw} />
+                    </div>
+                  )}
+                </div>
+              )}
+            </Card>
+          </section>
+        )}
+
+        {showStats && (
+          <section>
+            <StatsDashboard history={history} />
+          </section>
+        )}
 
         <section>
-          <Card title="Session History (last 50)">
-            {history.length===0 ? (
-              <p className="text-sm text-slate-600">No attempts yet.</p>
-            ) : (
-              <div className="overflow-x-auto">
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr className="text-left text-slate-600">
-                      <th className="py-2 pr-3">When</th>
-                      <th className="py-2 pr-3">Draw</th>
-                      <th className="py-2 pr-3">Sentence</th>
-                      <th className="py-2">Score</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {history.map((h,idx)=> (
-                      <tr key={idx} className="align-top border-t">
-                        <td className="py-2 pr-3 whitespace-nowrap">{new Date(h.ts).toLocaleTimeString()}</td>
-                        <td className="py-2 pr-3">
-                          <div className="text-slate-800">
-                            <div><b>S:</b> {h.draw.subject} <b>V:</b> {h.draw.verb} <b>T:</b> {h.draw.tense}</div>
-                            <div><b>Cue:</b> {h.draw.timeCue} <b>Esp.:</b> {h.draw.special}</div>
-                          </div>
-                        </td>
-                        <td className="py-2 pr-3">{h.sentence}</td>
-                        <td className="py-2">{h.r.score} / {h.r.max}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            )}
-          </Card>
+          <HistoryCard history={history} onImport={importHistory} />
         </section>
 
         <footer className="text-xs text-slate-500">
@@ -546,17 +600,3 @@ Provide a JSON response with this exact structure:
     </div>
   );
 }
-
-function Card({title, children}){
-  return (
-    <div className="bg-white rounded-2xl shadow p-4">
-      <h2 className="text-lg font-semibold mb-3">{title}</h2>
-      {children}
-    </div>
-  );
-}
-function Li({label, value}){
-  return (
-    <li className="flex gap-2 text-slate-800"><span className="min-w-40 font-medium">{label}:</span><span>{value}</span></li>
-  );
-}
@@ -0,0 +1,242 @@
+// Classroom sessions: a teacher opens a class with a join code, pushes the same draw to every
+// student and collects their sentences. A session is one value in any store from ./stores.js
+// (key `class:<code>`), rewritten on each change and expiring CLASS_TTL_MS after the last one.
+// Changes to one session run one after another, so students joining or submitting at the same
+// moment don't overwrite each other.
+import { randomBytes, randomUUID } from 'node:crypto';
+import { correctionOf, diffWords } from '../../src/diff.js';
+import { scoreSentence } from '../../src/heuristic.js';
+import { RequestError, validateDraw, validateSentence } from './validate.js';
+
+export const CLASS_TTL_MS = 12 * 60 * 60 * 1000;
+export const MAX_STUDENTS = 60;
+const NAME_MAX = 30;
+const TITLE_MAX = 60;
+const CORRECTION_MAX = 400;
+
+// No 0/O or 1/I so codes survive being read off a projector
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const invalid = (message) => new RequestError(400, 'invalid_request', message);
+
+function makeJoinCode() {
+  return [...randomBytes(CODE_LENGTH)].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+function normalizeCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (normalized.length !== CODE_LENGTH || [...normalized].some(c => !CODE_ALPHABET.includes(c))) {
+    throw invalid('Join codes are 6 letters and digits');
+  }
+  return normalized;
+}
+
+// Names and titles: single line, no markup
+function plainText(value, max, label) {
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  if (!text || text.length > max || /[<>\p{Cc}]/u.test(text)) throw invalid(`${label} must be 1–${max} plain characters`);
+  return text;
+}
+
+// What the student's client scored; trusted only as far as its shape
+function reportedResult(result) {
+  if (!result || typeof result !== 'object') throw invalid('Missing result');
+  const { score, max, source, corrected } = result;
+  if (![score, max].every(Number.isFinite) || max <= 0 || max > 100 || score < 0 || score > max) throw invalid('Invalid score');
+  return {
+    score,
+    max,
+    source: typeof source === 'string' && /^[a-z]{1,20}$/.test(source) ? source : 'unknown',
+    ...(typeof corrected === 'string' && corrected.length <= CORRECTION_MAX ? { corrected: corrected.trim() } : {})
+  };
+}
+
+// ---------------------- Round summary ----------------------
+const CHECK_LABELS = {
+  cue: 'Time cue missing',
+  verb: 'Drawn verb form not used',
+  special: 'Special condition missed',
+  agreement: 'Subject–verb agreement'
+};
+const CORRECTION_LABELS = {
+  conjugation: 'Corrected: conjugation',
+  agreement: 'Corrected: agreement',
+  accent: 'Corrected: accents',
+  order: 'Corrected: word order',
+  vocabulary: 'Corrected: vocabulary'
+};
+const DISTRIBUTION_BUCKETS = ['0–2', '2–4', '4–6', '6–8', '8–10'];
+
+const outOfTen = (s) => (s.score / s.max) * 10;
+
+// Error kinds in one submission: failed heuristic checks plus the categories of the judge's correction
+function errorKinds(submission, draw) {
+  const kinds = new Set(Object.keys(CHECK_LABELS).filter(k => submission.local.checks[k] === false).map(k => CHECK_LABELS[k]));
+  const corrected = correctionOf(submission);
+  if (corrected) {
+    diffWords(submission.sentence, corrected, draw).forEach(o => { if (CORRECTION_LABELS[o.category]) kinds.add(CORRECTION_LABELS[o.category]); });
+  }
+  return kinds;
+}
+
+/** Aggregates for the current round: score distribution (out of 10), common errors and best sentences. */
+export function summarizeRound(session) {
+  const submissions = session.submissions.filter(s => s.round === session.round);
+  const distribution = DISTRIBUTION_BUCKETS.map(label => ({ label, count: 0 }));
+  submissions.forEach(s => { distribution[Math.min(4, Math.floor(outOfTen(s) / 2))].count += 1; });
+
+  const errors = new Map();
+  submissions.forEach(s => errorKinds(s, session.draw).forEach(k => errors.set(k, (errors.get(k) || 0) + 1)));
+
+  const submitted = new Set(submissions.map(s => s.studentId));
+  return {
+    submitted: submissions.length,
+    waiting: Object.entries(session.students).filter(([id]) => !submitted.has(id)).map(([, s]) => s.name),
+    average: submissions.length ? Math.round((submissions.reduce((sum, s) => sum + outOfTen(s), 0) / submissions.length) * 10) / 10 : null,
+    distribution,
+    commonErrors: [...errors.entries()].sort((a, b) => b[1] - a[1]).map(([label, count]) => ({ label, count })),
+    best: [...submissions].sort((a, b) => outOfTen(b) - outOfTen(a) || a.ts.localeCompare(b.ts)).slice(0, 3)
+      .map(({ name, sentence, score, max }) => ({ name, sentence, score, max })),
+    submissions: submissions.map(({ name, sentence, score, max, source, corrected, local, ts }) => ({ name, sentence, score, max, source, corrected, local, ts }))
+  };
+}
+
+// What anyone with the code may see
+function publicState(session) {
+  return {
+    code: session.code,
+    title: session.title,
+    round: session.round,
+    draw: session.draw,
+    students: Object.keys(session.students).length
+  };
+}
+
+// ---------------------- Service ----------------------
+/**
+ * Classroom operations over a store. Every method resolves to plain JSON for the
+ * route and throws RequestError (404 unknown code, 403 wrong key, 409 no draw yet).
+ * Teachers prove themselves with the `teacherKey` handed out on create.
+ */
+export function createClassroom(store) {
+  const keyOf = (code) => `class:${code}`;
+
+  const load = async (code) => {
+    const session = await store.get(keyOf(normalizeCode(code)));
+    if (!session) throw new RequestError(404, 'class_not_found', 'No class with that code (it may have expired)');
+    return session;
+  };
+  const save = (session) => store.set(keyOf(session.code), session, CLASS_TTL_MS);
+
+  // Read-change-write on one session, queued behind the earlier changes to the same code
+  const queues = new Map();
+  const update = (code, change) => {
+    const key = keyOf(normalizeCode(code));
+    const run = (queues.get(key) || Promise.resolve()).then(async () => change(await load(code)));
+    const done = run.catch(() => {}).then(() => {
+      if (queues.get(key) === done) queues.delete(key);
+    });
+    queues.set(key, done);
+    return run;
+  };
+
+  const assertTeacher = (session, teacherKey) => {
+    if (typeof teacherKey !== 'string' || teacherKey !== session.teacherKey) {
+      throw new RequestError(403, 'forbidden', 'Only the teacher of this class can do that');
+    }
+  };
+  const asTeacher = async (code, teacherKey) => {
+    const session = await load(code);
+    assertTeacher(session, teacherKey);
+    return session;
+  };
+
+  return {
+    async create({ title }) {
+      let code = makeJoinCode();
+      while (await store.get(keyOf(code))) code = makeJoinCode();
+      const session = {
+        code,
+        title: plainText(title || 'Tiempo Madness class', TITLE_MAX, 'Class title'),
+        teacherKey: randomUUID(),
+        createdAt: new Date().toISOString(),
+        round: 0,
+        draw: null,
+        students: {},
+        submissions: []
+      };
+      await save(session);
+      return { code, teacherKey: session.teacherKey, state: publicState(session) };
+    },
+
+    async join(code, { name }) {
+      const clean = plainText(name, NAME_MAX, 'Name');
+      return update(code, async (session) => {
+        if (Object.keys(session.students).length >= MAX_STUDENTS) {
+          throw new RequestError(409, 'class_full', `This class already has ${MAX_STUDENTS} students`);
+        }
+        const studentId = randomUUID();
+        session.students[studentId] = { name: clean, joinedAt: new Date().toISOString() };
+        await save(session);
+        return { studentId, state: publicState(session) };
+      });
+    },
+
+    // A new round: every student gets the same card, earlier submissions stay for the record
+    async pushDraw(code, teacherKey, draw) {
+      const checked = validateDraw(draw);
+      return update(code, async (session) => {
+        assertTeacher(session, teacherKey);
+        session.draw = checked;
+        session.round += 1;
+        await save(session);
+        return publicState(session);
+      });
+    },
+
+    // One submission per student and round; submitting again replaces it. `round` is the one the
+    // student scored: a score that arrives after the teacher moved on is refused, not filed under the new draw
+    async submit(code, { studentId, round, sentence, result }) {
+      const text = validateSentence(sentence);
+      const reported = reportedResult(result);
+      return update(code, async (session) => {
+        const student = session.students[studentId];
+        if (!student) throw new RequestError(403, 'forbidden', 'Join the class before submitting');
+        if (!session.draw) throw new RequestError(409, 'no_draw', 'The teacher has not pushed a draw yet');
+        if (round !== session.round) {
+          throw new RequestError(409, 'round_changed', 'Your teacher has already pushed the next draw, so this sentence was not sent');
+        }
+
+        const local = scoreSentence(text, session.draw); // server-side baseline next to the client's score
+        const submission = {
+          studentId,
+          name: student.name,
+          round: session.round,
+          sentence: text,
+          ...reported,
+          local: { score: local.score, max: local.max, checks: local.checks },
+          ts: new Date().toISOString()
+        };
+        session.submissions = [...session.submissions.filter(s => !(s.round === session.round && s.studentId === studentId)), submission];
+        await save(session);
+        return { ...publicState(session), submitted: true };
+      });
+    },
+
+    // Students poll this; `studentId` adds whether they have submitted in this round
+    async state(code, { studentId } = {}) {
+      const session = await load(code);
+      const state = publicState(session);
+      if (studentId && session.students[studentId]) {
+        state.submitted = session.submissions.some(s => s.round === session.round && s.studentId === studentId);
+      }
+      return state;
+    },
+
+    async teacherView(code, teacherKey) {
+      const session = await asTeacher(code, teacherKey);
+      return { ...publicState(session), summary: summarizeRound(session) };
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// Shared handler for the judge endpoints (/api/score, /api/story): validate, serve repeats
+// from the cache, rate limit per client, then ask the model through the server-side client
+import { JudgeResponseError } from '../../src/judge.js';
+import { createChatClient, llmConfig } from './llm.js';
+import { createRateLimiter, clientKeyOf } from './rateLimit.js';
+import { createMemoryStore } from './stores.js';
+import { RequestError } from './validate.js';
+
+const RATE_LIMIT = Number(process.env.SCORE_RATE_LIMIT) || 20; // requests per window per client
+const RATE_WINDOW_MS = Number(process.env.SCORE_RATE_WINDOW_MS) || 60 * 1000;
+const CACHE_TTL_MS = Number(process.env.SCORE_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+/**
+ * `validate(body)` returns the checked request (or throws RequestError), `cacheKeyOf(request)`
+ * names its cached reply and `judge(ask, request)` resolves to the fields to return.
+ * Stores default to in-memory ones; pass shared ones (KV/Redis) to limit across instances.
+ */
+export function createJudgeRoute({ validate, cacheKeyOf, judge, rateLimitStore = createMemoryStore(), cacheStore = createMemoryStore({ maxEntries: 500 }) }) {
+  const limiter = createRateLimiter({ store: rateLimitStore, limit: RATE_LIMIT, windowMs: RATE_WINDOW_MS });
+
+  return async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Get the model backend from environment variables
+    const config = llmConfig();
+    if (config.requiresKey && !config.apiKey) {
+      return res.status(500).json({ error: 'OpenAI API key not configured on server' });
+    }
+
+    try {
+      const request = validate(req.body);
+
+      // Re-scoring the same attempt is free
+      const cacheKey = cacheKeyOf(request);
+      const cached = await cacheStore.get(cacheKey);
+      if (cached) {
+        res.setHeader('X-Cache', 'HIT');
+        return res.status(200).json(cached);
+      }
+
+      const rate = await limiter.check(clientKeyOf(req));
+      if (!rate.allowed) {
+        const retryAfter = Math.ceil(rate.retryAfterMs / 1000);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Too many scoring requests; try again in ${retryAfter}s`,
+          code: 'rate_limited',
+          retryAfter
+        });
+      }
+
+      // Call the model; the judge re-asks once if the reply fails validation
+      const fields = await judge(createChatClient(config), request);
+      await cacheStore.set(cacheKey, fields, CACHE_TTL_MS);
+      return res.status(200).json(fields);
+
+    } catch (error) {
+      if (error instanceof RequestError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      if (error instanceof JudgeResponseError) {
+        console.error('Invalid judge response:', error.issues);
+        return res.status(502).json({
+          error: error.message,
+          code: 'judge_invalid',
+          issues: error.issues,
+          fallback: true
+        });
+      }
+      console.error('Model backend error:', error);
+      return res.status(500).json({
+        error: error.message || 'Failed to score sentence',
+        fallback: true // Signal to client to use local scoring
+      });
+    }
+  };
+}
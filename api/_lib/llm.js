@@ -0,0 +1,61 @@
+// OpenAI-compatible chat client for the server-side judge.
+// Works with OpenAI, Azure OpenAI, gateways and local servers (Ollama /v1, LM Studio, llama.cpp, dev/stub-llm.js).
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Read the backend settings from the environment
+export function llmConfig(env = process.env) {
+  const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  return {
+    baseUrl,
+    apiKey: env.OPENAI_API_KEY || '',
+    // A key is only mandatory for the public OpenAI API; local stand-ins usually ignore it
+    requiresKey: baseUrl === DEFAULT_BASE_URL,
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    temperature: env.OPENAI_TEMPERATURE !== undefined && env.OPENAI_TEMPERATURE !== '' ? Number(env.OPENAI_TEMPERATURE) : 0.3,
+    maxTokens: Number(env.OPENAI_MAX_TOKENS) || 500,
+    timeoutMs: Number(env.OPENAI_TIMEOUT_MS) || 20000,
+    // Azure: OPENAI_AUTH_HEADER=api-key and OPENAI_API_VERSION=2024-06-01, base URL ending in /deployments/<name>
+    authHeader: env.OPENAI_AUTH_HEADER || 'Authorization',
+    apiVersion: env.OPENAI_API_VERSION || ''
+  };
+}
+
+// Returns ask(messages) → reply text, for runJudge()
+export function createChatClient(config) {
+  const url = `${config.baseUrl}/chat/completions${config.apiVersion ? `?api-version=${encodeURIComponent(config.apiVersion)}` : ''}`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers[config.authHeader] = config.authHeader.toLowerCase() === 'authorization' ? `Bearer ${config.apiKey}` : config.apiKey;
+  }
+
+  return async function ask(messages) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        signal: AbortSignal.timeout(config.timeoutMs),
+        body: JSON.stringify({
+          model: config.model,
+          messages,
+          temperature: config.temperature,
+          max_tokens: config.maxTokens
+        })
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Model backend did not answer within ${config.timeoutMs} ms`);
+      }
+      throw new Error(`Could not reach model backend at ${config.baseUrl}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `Model backend request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content ?? '';
+  };
+}
@@ -0,0 +1,22 @@
+// Fixed-window rate limiting per client, backed by any store from ./stores.js
+
+export function createRateLimiter({ store, limit, windowMs }) {
+  return {
+    // Resolves to { allowed, remaining, retryAfterMs }
+    async check(clientKey) {
+      const { count, expiresAt } = await store.increment(`rate:${clientKey}`, windowMs);
+      return {
+        allowed: count <= limit,
+        remaining: Math.max(0, limit - count),
+        retryAfterMs: Math.max(0, expiresAt - Date.now())
+      };
+    }
+  };
+}
+
+// Best guess at the caller: first hop of x-forwarded-for (set by Vercel), else the socket
+export function clientKeyOf(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const first = Array.isArray(forwarded) ? forwarded[0] : forwarded;
+  return (first && first.split(',')[0].trim()) || req.socket?.remoteAddress || 'unknown';
+}
@@ -0,0 +1,91 @@
+// Key-value stores for the rate limiter, the result cache and classroom sessions.
+// Any object with this async interface can be plugged in (e.g. Vercel KV / Redis):
+//   get(key)                → value | undefined
+//   set(key, value, ttlMs)  → void
+//   increment(key, ttlMs)   → { count, expiresAt }   (starts a new window when the key is absent/expired)
+
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { createHash, randomUUID } from 'node:crypto';
+import path from 'node:path';
+
+// In-memory store: per serverless instance, so limits are best-effort across cold starts
+export function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const e = entries.get(key);
+    if (!e) return undefined;
+    if (e.expiresAt <= now) {
+      entries.delete(key);
+      return undefined;
+    }
+    return e;
+  };
+
+  const put = (key, entry) => {
+    entries.delete(key); // re-insert so Map order tracks recency
+    entries.set(key, entry);
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  return {
+    async get(key) {
+      return live(key)?.value;
+    },
+    async set(key, value, ttlMs) {
+      put(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const e = live(key, now) || { value: 0, expiresAt: now + ttlMs };
+      e.value += 1;
+      put(key, e);
+      return { count: e.value, expiresAt: e.expiresAt };
+    }
+  };
+}
+
+// File store: one JSON file per key under `dir`, so data survives dev-server restarts and
+// several local processes can share it. Each write lands in a temp file that is renamed into
+// place, so a reader sees the old value or the new one, never half a file; between processes
+// the last writer still wins.
+export function createFileStore({ dir }) {
+  const fileOf = (key) => path.join(dir, `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+
+  const read = async (key, now = Date.now()) => {
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(fileOf(key), 'utf8'));
+    } catch {
+      return undefined; // missing
+    }
+    if (entry.expiresAt <= now) {
+      await rm(fileOf(key), { force: true });
+      return undefined;
+    }
+    return entry;
+  };
+
+  const write = async (key, entry) => {
+    await mkdir(dir, { recursive: true });
+    const temp = `${fileOf(key)}.${randomUUID()}.tmp`;
+    await writeFile(temp, JSON.stringify(entry));
+    await rename(temp, fileOf(key));
+  };
+
+  return {
+    async get(key) {
+      return (await read(key))?.value;
+    },
+    async set(key, value, ttlMs) {
+      await write(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const e = (await read(key, now)) || { value: 0, expiresAt: now + ttlMs };
+      e.value += 1;
+      await write(key, e);
+      return { count: e.value, expiresAt: e.expiresAt };
+    }
+  };
+}
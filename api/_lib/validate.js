@@ -0,0 +1,106 @@
+// Request validation for the API routes: draws must use known subjects, tenses and detectors with deck-pack-safe card text and sentences must be sane
+import { SPECIAL_DETECTORS, TENSES } from '../../src/deck.js';
+import { DEFAULT_DIALECT, DIALECTS } from '../../src/dialects.js';
+import { DIFFICULTIES, specialsCompatible } from '../../src/difficulty.js';
+import { DECK_LIMITS, isDeckText, isInfinitive } from '../../src/deckPack.js';
+import { MAX_SENTENCE_LENGTH } from '../../src/judge.js';
+import { MAX_STORY_SENTENCES, MIN_STORY_SENTENCES } from '../../src/story.js';
+
+export class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const fail = (message) => { throw new RequestError(400, 'invalid_request', message); };
+
+// A combo card carries two or three specials that can share a card
+const MAX_SPECIALS = 3;
+
+// Deck cards show irregulars as "tener★"
+function isCardVerb(value) {
+  return typeof value === 'string' && isInfinitive(value.endsWith('★') ? value.slice(0, -1) : value);
+}
+
+/**
+ * The checked fields of a drawn card. Custom decks mean the cards are not a fixed
+ * list, so each one must pass the same rules a deck pack does: short, single-line
+ * text with no markup or control characters.
+ */
+export function validateDraw(draw) {
+  if (!draw || typeof draw !== 'object') fail('Missing sentence or draw data');
+  // No dialect means the neutral one (older clients)
+  const dialect = DIALECTS.find(d => d.key === (draw.dialect ?? DEFAULT_DIALECT));
+  if (!dialect) fail('Unknown dialect');
+  if (!dialect.subjects.includes(draw.subject)) fail(`Unknown subject: ${String(draw.subject).slice(0, 40)}`);
+  const tense = TENSES.find(t => t.key === draw.tenseKey);
+  if (!tense || tense.name !== draw.tense) fail('Unknown tense');
+
+  if (!isCardVerb(draw.verb)) fail(`Unknown verb: ${String(draw.verb).slice(0, 40)}`);
+  if (!isDeckText(draw.timeCue, DECK_LIMITS.cue)) fail('Invalid time cue');
+  if (draw.difficulty !== undefined && !DIFFICULTIES.some(d => d.key === draw.difficulty)) fail('Unknown difficulty');
+
+  // Combo cards: `special` and `specialKey` are rebuilt from the list rather than trusted
+  const specials = draw.specials === undefined ? [{ key: draw.specialKey, text: draw.special }] : draw.specials;
+  if (!Array.isArray(specials) || specials.length < 1 || specials.length > MAX_SPECIALS) fail('Invalid special conditions');
+  specials.forEach(sp => {
+    if (!SPECIAL_DETECTORS[sp?.key]) fail('Unknown special condition');
+    if (!isDeckText(sp.text, DECK_LIMITS.special)) fail('Invalid special condition');
+  });
+  if (!specialsCompatible(specials.map(sp => sp.key))) fail('These special conditions cannot share a card');
+
+  return {
+    subject: draw.subject,
+    verb: draw.verb,
+    tense: tense.name,
+    tenseKey: tense.key,
+    timeCue: draw.timeCue,
+    special: specials.map(sp => sp.text).join(' + '),
+    specialKey: specials[0].key,
+    ...(specials.length > 1 ? { specials: specials.map(({ key, text }) => ({ key, text })) } : {}),
+    ...(draw.difficulty ? { difficulty: draw.difficulty } : {}),
+    ...(draw.dialect ? { dialect: dialect.key } : {})
+  };
+}
+
+// A non-empty sentence within the judge's length limit, trimmed
+export function validateSentence(sentence) {
+  if (typeof sentence !== 'string' || !sentence.trim()) fail('Missing sentence or draw data');
+  if (sentence.length > MAX_SENTENCE_LENGTH) {
+    throw new RequestError(413, 'sentence_too_long', `Sentence is longer than ${MAX_SENTENCE_LENGTH} characters`);
+  }
+  return sentence.trim();
+}
+
+/** Returns { sentence, draw } with only the checked fields. */
+export function validateScoreRequest(body) {
+  if (!body || typeof body !== 'object') fail('Request body must be a JSON object');
+  const sentence = validateSentence(body.sentence);
+  return { sentence, draw: validateDraw(body.draw) };
+}
+
+/** Story mode: returns { story: [{ sentence, draw }, …] }, each entry checked like a score request. */
+export function validateStoryRequest(body) {
+  if (!body || typeof body !== 'object') fail('Request body must be a JSON object');
+  const { story } = body;
+  if (!Array.isArray(story) || story.length < MIN_STORY_SENTENCES || story.length > MAX_STORY_SENTENCES) {
+    fail(`A story needs ${MIN_STORY_SENTENCES} to ${MAX_STORY_SENTENCES} sentences`);
+  }
+  return { story: story.map(validateScoreRequest) };
+}
+
+// Cache key: same draw + same sentence modulo case, spacing and Unicode form. Specials count by
+// detector and text, since custom decks can word the same detector differently
+export function cacheKeyOf({ sentence, draw }) {
+  const normalized = sentence.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+  const specials = (draw.specials || [{ key: draw.specialKey, text: draw.special }]).map(sp => `${sp.key}:${sp.text}`).join('+');
+  return `score:${JSON.stringify([draw.subject, draw.verb, draw.tenseKey, draw.timeCue, specials, draw.difficulty || '', draw.dialect || ''])}|${normalized}`;
+}
+
+// A story is the same story when every sentence is, in the same order
+export function storyCacheKeyOf({ story }) {
+  return `story:${story.map(entry => cacheKeyOf(entry).replace(/^score:/, '')).join('\n')}`;
+}
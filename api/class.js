@@ -0,0 +1,79 @@
+// Vercel Serverless Function for classroom sessions (logic in api/_lib/classroom.js)
+//   GET  /api/class?code=ABC123[&studentId=…]        → current round and draw; with an X-Teacher-Key header, the live results
+//   POST /api/class { action: 'create', title }      → { code, teacherKey, state }
+//   POST /api/class { action: 'join', code, name }   → { studentId, state }
+//   POST /api/class { action: 'draw', code, teacherKey, draw }
+//   POST /api/class { action: 'submit', code, studentId, round, sentence, result }
+import { createClassroom } from './_lib/classroom.js';
+import { clientKeyOf, createRateLimiter } from './_lib/rateLimit.js';
+import { createFileStore, createMemoryStore } from './_lib/stores.js';
+import { RequestError } from './_lib/validate.js';
+
+// Creating classes is limited hard (each one takes a slot in the session store); joins, draws and
+// submissions get room for a whole class behind one school address. Polling isn't limited.
+const CREATE_LIMIT = Number(process.env.CLASS_CREATE_LIMIT) || 5; // new classes per window per client
+const CREATE_WINDOW_MS = Number(process.env.CLASS_CREATE_WINDOW_MS) || 10 * 60 * 1000;
+const ACTION_LIMIT = Number(process.env.CLASS_RATE_LIMIT) || 120; // other POSTs per minute per client
+
+// CLASS_STORE_DIR keeps sessions on disk (local runs); otherwise they live in this instance's memory
+function defaultStore() {
+  return process.env.CLASS_STORE_DIR ? createFileStore({ dir: process.env.CLASS_STORE_DIR }) : createMemoryStore({ maxEntries: 200 });
+}
+
+/**
+ * Build the handler around a session store and a rate-limit store (see ./_lib/stores.js).
+ * Serverless instances don't share memory, so a deployed class needs shared stores (KV/Redis) passed in here.
+ */
+export function createClassHandler({ store = defaultStore(), rateLimitStore = createMemoryStore() } = {}) {
+  const classroom = createClassroom(store);
+  const limiters = {
+    create: createRateLimiter({ store: rateLimitStore, limit: CREATE_LIMIT, windowMs: CREATE_WINDOW_MS }),
+    other: createRateLimiter({ store: rateLimitStore, limit: ACTION_LIMIT, windowMs: 60 * 1000 })
+  };
+
+  const actions = {
+    create: (body) => classroom.create(body),
+    join: (body) => classroom.join(body.code, body),
+    draw: (body) => classroom.pushDraw(body.code, body.teacherKey, body.draw),
+    submit: (body) => classroom.submit(body.code, body)
+  };
+
+  return async function handler(req, res) {
+    try {
+      if (req.method === 'GET') {
+        const { code, studentId } = req.query || {};
+        const teacherKey = req.headers?.['x-teacher-key'];
+        const data = teacherKey ? await classroom.teacherView(code, teacherKey) : await classroom.state(code, { studentId });
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json(data);
+      }
+
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      const action = actions[body.action];
+      if (!action) {
+        return res.status(400).json({ error: `Unknown action: ${String(body.action).slice(0, 20)}`, code: 'invalid_request' });
+      }
+
+      const kind = body.action === 'create' ? 'create' : 'other';
+      const rate = await limiters[kind].check(`${kind}:${clientKeyOf(req)}`);
+      if (!rate.allowed) {
+        const retryAfter = Math.ceil(rate.retryAfterMs / 1000);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: `Too many classroom requests; try again in ${retryAfter}s`, code: 'rate_limited', retryAfter });
+      }
+      return res.status(200).json(await action(body));
+
+    } catch (error) {
+      if (error instanceof RequestError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      console.error('Classroom error:', error);
+      return res.status(500).json({ error: 'Classroom request failed' });
+    }
+  };
+}
+
+export default createClassHandler();
@@ -0,0 +1,19 @@
+// Vercel Serverless Function for story mode: the coherence of a whole story
+// (each sentence is scored on its own through /api/score)
+//   POST /api/story { story: [{ sentence, draw }, …] } → { totalScore, timeOrderScore, subjectsScore, flowScore, explanation }
+import { runStoryJudge, storyFields } from '../src/judge.js';
+import { createJudgeRoute } from './_lib/judgeRoute.js';
+import { storyCacheKeyOf, validateStoryRequest } from './_lib/validate.js';
+
+/** Same stores and limits as createScoreHandler in ./score.js. */
+export function createStoryHandler({ rateLimitStore, cacheStore } = {}) {
+  return createJudgeRoute({
+    validate: validateStoryRequest,
+    cacheKeyOf: storyCacheKeyOf,
+    judge: async (ask, { story }) => storyFields(await runStoryJudge(ask, story)),
+    rateLimitStore,
+    cacheStore
+  });
+}
+
+export default createStoryHandler();
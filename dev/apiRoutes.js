@@ -0,0 +1,64 @@
+// Vite dev-server plugin: serves the Vercel functions in api/ at /api/* during `npm run dev`,
+// so Cloud AI mode works locally. Handlers are loaded through Vite's SSR module graph and
+// reload on change; .env / .env.local are loaded into process.env like on Vercel.
+import { loadEnv } from 'vite'
+
+// Add the bits of Vercel's response helpers the handlers use
+function vercelResponse(res) {
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(body))
+    return res
+  }
+  return res
+}
+
+async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  const text = Buffer.concat(chunks).toString('utf8')
+  if (!text) return undefined
+  return (req.headers['content-type'] || '').includes('application/json') ? JSON.parse(text) : text
+}
+
+export default function apiRoutes() {
+  return {
+    name: 'tiempo-madness-api-routes',
+    apply: 'serve',
+    configureServer(server) {
+      const env = loadEnv(server.config.mode, server.config.root, '')
+      for (const [key, value] of Object.entries(env)) {
+        if (process.env[key] === undefined) process.env[key] = value
+      }
+
+      server.middlewares.use(async (req, res, next) => {
+        const url = new URL(req.url, 'http://localhost')
+        const match = url.pathname.match(/^\/api\/([\w-]+)\/?$/)
+        if (!match) return next()
+
+        let mod
+        try {
+          mod = await server.ssrLoadModule(`/api/${match[1]}.js`)
+        } catch {
+          return next()
+        }
+
+        vercelResponse(res)
+        try {
+          req.query = Object.fromEntries(url.searchParams)
+          req.body = await readBody(req)
+        } catch {
+          return res.status(400).json({ error: 'Invalid JSON body' })
+        }
+
+        try {
+          await mod.default(req, res)
+        } catch (error) {
+          server.config.logger.error(`[api] ${url.pathname}: ${error.stack || error}`)
+          if (!res.writableEnded) res.status(500).json({ error: 'Internal error in dev API route' })
+        }
+      })
+    }
+  }
+}
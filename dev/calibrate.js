@@ -0,0 +1,200 @@
+// Scorer calibration: runs a scorer over the golden corpus (dev/calibration/golden.json) and
+// compares it with the human grades, so detector and tense-check changes can be measured.
+//
+//   npm run calibrate                                          # offline heuristic
+//   npm run calibrate -- --scorer ollama --model llama3        # --url defaults to http://localhost:11434
+//   npm run calibrate -- --scorer api                          # the /api/score handler, backend from OPENAI_* env
+//   OPENAI_BASE_URL=http://localhost:8787/v1 npm run calibrate -- --scorer api   # against `npm run stub-llm`
+//
+// Other flags: --corpus <file>, --verbose (list every disagreement), --json (report as JSON)
+import { readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { scoreSentence } from '../src/heuristic.js'
+import { JUDGE_MAX, RUBRIC, runJudge } from '../src/judge.js'
+import { createOllamaAsk } from '../src/scorers/ollamaClient.js'
+import { SPECIALS, TENSES } from '../src/deck.js'
+
+const { values: args } = parseArgs({
+  options: {
+    scorer: { type: 'string', default: 'heuristic' },
+    corpus: { type: 'string', default: new URL('./calibration/golden.json', import.meta.url).pathname },
+    url: { type: 'string', default: 'http://localhost:11434' },
+    model: { type: 'string', default: 'llama3' },
+    verbose: { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false }
+  }
+})
+
+// A point on the judge's 0–10 scale either way counts as agreement
+const AGREEMENT_POINTS = 1
+const SPECIAL_MAX = RUBRIC.find(d => d.key === 'specialConditionScore').max
+
+// ---------------------- Scorers ----------------------
+// Each returns { norm (0–1), dims ({ rubricKey: score } for the dimensions it grades), specialMet }
+
+function judgeOutcome(fields) {
+  return {
+    norm: fields.totalScore / JUDGE_MAX,
+    dims: Object.fromEntries(RUBRIC.map(d => [d.key, fields[d.key]])),
+    specialMet: fields.specialConditionScore >= SPECIAL_MAX / 2
+  }
+}
+
+// The Vercel handler with a bare-bones req/res; rate limiting is lifted for the run
+async function apiScorer() {
+  process.env.SCORE_RATE_LIMIT ||= '100000'
+  const { createScoreHandler } = await import('../api/score.js')
+  const handler = createScoreHandler()
+  return async (sentence, draw) => {
+    let status = 200
+    let body
+    const res = {
+      setHeader() {},
+      status(code) { status = code; return res },
+      json(data) { body = data; return res }
+    }
+    await handler({ method: 'POST', headers: {}, socket: { remoteAddress: 'calibrate' }, body: { sentence, draw } }, res)
+    if (status !== 200) throw new Error(`/api/score answered ${status}: ${body?.error}`)
+    return judgeOutcome(body)
+  }
+}
+
+async function loadScorer(id) {
+  switch (id) {
+    case 'heuristic':
+      return async (sentence, draw) => {
+        const r = scoreSentence(sentence, draw)
+        // Only the special condition has a rubric counterpart (0 or 2 in both)
+        return { norm: r.score / r.max, dims: { specialConditionScore: r.special.ok ? SPECIAL_MAX : 0 }, specialMet: r.special.ok }
+      }
+    case 'ollama': {
+      const config = { url: args.url, model: args.model }
+      return async (sentence, draw) => judgeOutcome(await runJudge(createOllamaAsk(config), draw, sentence))
+    }
+    case 'api':
+      return apiScorer()
+    default:
+      throw new Error(`Unknown scorer "${id}" (use heuristic, ollama or api)`)
+  }
+}
+
+// ---------------------- Corpus ----------------------
+// Entries store keys only; names and texts come from the built-in deck
+function fullDraw(draw, id) {
+  const tense = TENSES.find(t => t.key === draw.tenseKey)
+  const special = SPECIALS.find(s => s.key === draw.specialKey)
+  if (!tense || !special) throw new Error(`${id}: unknown tenseKey or specialKey`)
+  return { ...draw, tense: tense.name, special: special.text }
+}
+
+async function loadCorpus(path) {
+  const { items } = JSON.parse(await readFile(path, 'utf8'))
+  return items.map(item => ({ ...item, draw: fullDraw(item.draw, item.id) }))
+}
+
+// ---------------------- Metrics ----------------------
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null)
+
+function pearson(xs, ys) {
+  const mx = mean(xs)
+  const my = mean(ys)
+  let sxy = 0, sxx = 0, syy = 0
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my)
+    sxx += (x - mx) ** 2
+    syy += (ys[i] - my) ** 2
+  })
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null
+}
+
+const humanNorm = (item) => RUBRIC.reduce((sum, d) => sum + item.human[d.key], 0) / JUDGE_MAX
+
+function report(rows) {
+  const scored = rows.filter(r => r.outcome)
+  const diffs = scored.map(r => Math.abs(r.outcome.norm - humanNorm(r.item)) * JUDGE_MAX)
+
+  const dimensions = RUBRIC.map(d => {
+    const graded = scored.filter(r => r.outcome.dims[d.key] !== undefined)
+    return { key: d.key, max: d.max, n: graded.length, mae: mean(graded.map(r => Math.abs(r.outcome.dims[d.key] - r.item.human[d.key]))) }
+  })
+
+  const specials = SPECIALS.map(s => {
+    const counts = { tp: 0, fp: 0, fn: 0, tn: 0 }
+    scored.filter(r => r.item.draw.specialKey === s.key).forEach(r => {
+      const said = r.outcome.specialMet
+      const truth = r.item.specialMet
+      counts[said ? (truth ? 'tp' : 'fp') : (truth ? 'fn' : 'tn')]++
+    })
+    return {
+      key: s.key,
+      ...counts,
+      precision: counts.tp + counts.fp ? counts.tp / (counts.tp + counts.fp) : null,
+      recall: counts.tp + counts.fn ? counts.tp / (counts.tp + counts.fn) : null
+    }
+  }).filter(s => s.tp + s.fp + s.fn + s.tn)
+
+  return {
+    scorer: args.scorer,
+    items: rows.length,
+    errors: rows.length - scored.length,
+    total: {
+      mae: mean(diffs),
+      agreement: mean(diffs.map(d => (d <= AGREEMENT_POINTS ? 1 : 0))),
+      pearson: pearson(scored.map(r => r.outcome.norm), scored.map(r => humanNorm(r.item)))
+    },
+    dimensions,
+    specials,
+    disagreements: scored
+      .filter((r, i) => diffs[i] > AGREEMENT_POINTS || r.outcome.specialMet !== r.item.specialMet)
+      .map(r => ({
+        id: r.item.id,
+        sentence: r.item.sentence,
+        human: +(humanNorm(r.item) * JUDGE_MAX).toFixed(1),
+        scorer: +(r.outcome.norm * JUDGE_MAX).toFixed(1),
+        special: `${r.item.specialMet ? 'met' : 'missed'} / scorer says ${r.outcome.specialMet ? 'met' : 'missed'}`
+      })),
+    failures: rows.filter(r => !r.outcome).map(r => ({ id: r.item.id, error: r.error }))
+  }
+}
+
+// ---------------------- Output ----------------------
+const fmt = (x, digits = 2) => (x === null ? 'n/a' : x.toFixed(digits))
+const pct = (x) => (x === null ? 'n/a' : `${Math.round(x * 100)}%`)
+
+function print(r) {
+  console.log(`Scorer: ${r.scorer} · ${r.items} items${r.errors ? ` · ${r.errors} failed` : ''}\n`)
+  console.log('Total (0–10 scale)')
+  console.log(`  mean absolute error   ${fmt(r.total.mae)}`)
+  console.log(`  within ±${AGREEMENT_POINTS} point        ${pct(r.total.agreement)}`)
+  console.log(`  Pearson r             ${fmt(r.total.pearson)}\n`)
+
+  console.log('Mean absolute error per rubric dimension')
+  r.dimensions.forEach(d => console.log(`  ${d.key.padEnd(22)} ${d.n ? `${fmt(d.mae)} / ${d.max}` : 'n/a (not graded by this scorer)'}`))
+
+  console.log('\nSpecial-condition detection')
+  console.log(`  ${'key'.padEnd(10)} ${'precision'.padStart(9)} ${'recall'.padStart(7)}   tp fp fn tn`)
+  r.specials.forEach(s => console.log(`  ${s.key.padEnd(10)} ${pct(s.precision).padStart(9)} ${pct(s.recall).padStart(7)}   ${[s.tp, s.fp, s.fn, s.tn].map(n => String(n).padStart(2)).join(' ')}`))
+
+  if (args.verbose && r.disagreements.length) {
+    console.log('\nDisagreements (human vs scorer, out of 10)')
+    r.disagreements.forEach(d => console.log(`  ${d.id.padEnd(24)} ${String(d.human).padStart(4)} vs ${String(d.scorer).padStart(4)}  special ${d.special}\n    ${d.sentence}`))
+  }
+  if (r.failures.length) console.log('\nFailed')
+  r.failures.forEach(f => console.log(`  ✗ ${f.id}: ${f.error}`))
+}
+
+// ---------------------- Run ----------------------
+const score = await loadScorer(args.scorer)
+const corpus = await loadCorpus(args.corpus)
+const rows = []
+for (const item of corpus) {
+  try {
+    rows.push({ item, outcome: await score(item.sentence, item.draw) })
+  } catch (error) {
+    rows.push({ item, error: error.message })
+  }
+}
+
+const result = report(rows)
+if (args.json) console.log(JSON.stringify(result, null, 2))
+else print(result)
@@ -0,0 +1,107 @@
+// Minimal OpenAI-compatible model server for exercising Cloud AI mode offline.
+// Answers POST /v1/chat/completions with a valid judge reply built from the local heuristic scorer
+// (for story prompts, from its story coherence check).
+//
+//   npm run stub-llm                # listens on http://localhost:8787
+//   OPENAI_BASE_URL=http://localhost:8787/v1 npm run dev
+import http from 'node:http'
+import { scoreSentence, scoreStory } from '../src/heuristic.js'
+import { SPECIALS, TENSES } from '../src/deck.js'
+import { DIALECTS } from '../src/dialects.js'
+import { DIFFICULTIES } from '../src/difficulty.js'
+
+const PORT = Number(process.env.STUB_LLM_PORT) || 8787
+
+// Custom-deck card text is quoted in the prompts
+const unquote = (value) => (value.startsWith('"') ? JSON.parse(value) : value)
+
+// Recover the draw and sentence from the judge prompt (see buildJudgePrompt in src/judge.js)
+function readPrompt(text) {
+  const field = (label) => (text.match(new RegExp(`^${label}: (.*)$`, 'm')) || [])[1] || ''
+  const tense = TENSES.find(t => t.name === field('Tense'))
+  // One "Special:" line, or a numbered list under "Specials (…):" on combo cards
+  const listed = (text.match(/^Specials \(.*\):\n((?: {2}\d+\. .*\n?)+)/m) || [])[1]
+  const texts = listed ? listed.trim().split('\n').map(line => unquote(line.replace(/^\s*\d+\. /, ''))) : [unquote(field('Special'))]
+  const specials = texts.map(t => SPECIALS.find(s => s.text === t) || { key: '', text: t })
+  const dialect = DIALECTS.find(d => field('Dialect').startsWith(`${d.name}.`))
+  const difficulty = DIFFICULTIES.find(d => field('Level').startsWith(`${d.name}.`))
+  const draw = {
+    subject: unquote(field('Subject')),
+    verb: unquote(field('Verb \\(infinitive\\)')),
+    tense: tense?.name || '',
+    tenseKey: tense?.key || '',
+    timeCue: unquote(field('Time cue')),
+    special: specials.map(s => s.text).join(' + '),
+    specialKey: specials[0].key,
+    ...(specials.length > 1 ? { specials } : {}),
+    ...(difficulty ? { difficulty: difficulty.key } : {}),
+    ...(dialect ? { dialect: dialect.key } : {})
+  }
+  const sentence = (text.split('PLAYER SENTENCE:\n')[1] || '').split('\n\n')[0].trim()
+  return { draw, sentence }
+}
+
+// Map the heuristic rubric (9 points, more on combo cards) onto the judge's 4/3/2/1 split
+function judgeReply(prompt) {
+  const { draw, sentence } = readPrompt(prompt)
+  const { score, max, notes, specials } = scoreSentence(sentence, draw)
+  const ratio = score / max
+  const conjugationScore = Math.round(ratio * 4)
+  const tenseTimeScore = Math.round(ratio * 3)
+  const specialConditionScore = Math.round((2 * specials.filter(s => s.ok).length) / specials.length)
+  const naturalnessScore = ratio >= 0.5 ? 1 : 0
+  return {
+    totalScore: conjugationScore + tenseTimeScore + specialConditionScore + naturalnessScore,
+    conjugationScore,
+    tenseTimeScore,
+    specialConditionScore,
+    naturalnessScore,
+    ...(specials.length > 1 ? { specialsMet: specials.map(s => s.ok) } : {}),
+    correctedVersion: notes.length ? sentence : 'Perfect!',
+    explanation: `[stub judge] ${notes.join(' ') || 'No issues found by the heuristic rubric.'}`
+  }
+}
+
+// Story prompts list one "N. [subject · verb · tense · time cue] sentence" line per sentence (see buildStoryPrompt)
+function storyReply(prompt) {
+  const entries = [...prompt.matchAll(/^\d+\. \[(.*?)\] (.*)$/gm)].map(([, cards, sentence]) => {
+    const [subject, verb, tenseName, timeCue] = cards.split(' · ')
+    const tense = TENSES.find(t => t.name === tenseName)
+    return { sentence, draw: { subject: unquote(subject), verb: unquote(verb), tense: tenseName, tenseKey: tense?.key || '', timeCue: unquote(timeCue) } }
+  })
+  const { score, checks, notes } = scoreStory(entries)
+  // The heuristic only notices unnamed switches of subject, so that is all that costs a point here
+  const flowScore = checks.flow ? 1 : 0
+  const timeOrderScore = score - flowScore
+  const subjectsScore = checks.subjects ? 2 : 1
+  return {
+    totalScore: timeOrderScore + subjectsScore + flowScore,
+    timeOrderScore,
+    subjectsScore,
+    flowScore,
+    explanation: `[stub judge] ${notes.join(' ') || 'No coherence issues found by the heuristic check.'}`
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    res.writeHead(404, { 'Content-Type': 'application/json' })
+    return res.end(JSON.stringify({ error: { message: 'Only POST /v1/chat/completions is served' } }))
+  }
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')
+  const prompt = (body.messages || []).filter(m => m.role === 'user').map(m => m.content)[0] || ''
+
+  res.writeHead(200, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify({
+    id: `stub-${Date.now()}`,
+    object: 'chat.completion',
+    model: body.model || 'stub',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify(/^STORY \(/m.test(prompt) ? storyReply(prompt) : judgeReply(prompt)) } }]
+  }))
+})
+
+server.listen(PORT, () => {
+  console.log(`Stub judge listening on http://localhost:${PORT}/v1 (set OPENAI_BASE_URL to this)`)
+})
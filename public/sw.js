@@ -0,0 +1,69 @@
+// Service worker: keeps the app shell available offline (registered by src/main.jsx in production builds).
+// Pages are network-first so a new deploy shows up on the next load; the hashed bundles under /assets/
+// are cache-first because their names change with their content. /api/* always goes to the network.
+const CACHE = "tiempo-madness-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon.svg"];
+
+const assetsIn = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]);
+
+// Cache the bundles this index.html names and forget the ones from earlier deploys
+async function cacheShell(html) {
+  const cache = await caches.open(CACHE);
+  const assets = assetsIn(html);
+  const cached = (await cache.keys()).filter(req => new URL(req.url).pathname.startsWith("/assets/"));
+  const cachedPaths = cached.map(req => new URL(req.url).pathname);
+  await cache.addAll(assets.filter(a => !cachedPaths.includes(a)));
+  await Promise.all(cached.filter(req => !assets.includes(new URL(req.url).pathname)).map(req => cache.delete(req)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    await cacheShell(await (await cache.match("/")).text());
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n !== CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+// Every page is the same single-page app, so the shell is cached once under "/"
+async function networkFirst(event) {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE);
+      await cache.put("/", response.clone());
+      event.waitUntil(response.clone().text().then(cacheShell));
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match("/");
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  event.respondWith(request.mode === "navigate" ? networkFirst(event) : cacheFirst(request));
+});
@@ -0,0 +1,137 @@
+/*
+ Adaptive deck
+ --------------------------------------------------
+ Turns past attempts into draw weights so weak tenses, verbs, specials and
+ subject persons come up more often, and schedules mastered
+ verb × tense × person combinations for review at growing intervals (Leitner boxes).
+*/
+import { PERSONS, personIndex } from "./conjugation.js";
+import { drawSpecials } from "./deck.js";
+
+// ---------------------- Tuning ----------------------
+export const MASTERY = 0.8;          // normalized score that counts as "nailed it"
+const UNSEEN_WEIGHT = 2;      // mild push towards values never tried
+const WEAKNESS_GAIN = 3;      // a value averaging 0% gets 1 + 3 = 4× the weight of a perfect one
+const REVIEW_CHANCE = 0.3;    // how often a due review pre-empts a weighted draw
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// Box n waits REVIEW_INTERVALS[n-1] after its last success before coming back
+const REVIEW_INTERVALS = [10 * MINUTE, 60 * MINUTE, DAY, 3 * DAY, 7 * DAY, 21 * DAY];
+
+// ---------------------- Helpers ----------------------
+export function normalizedScore(entry) {
+  const {score, max} = entry.r || {};
+  return max ? Math.max(0, Math.min(1, score / max)) : 0;
+}
+
+export function personOf(subject) {
+  const idx = personIndex(subject);
+  return idx < 0 ? subject : PERSONS[idx];
+}
+
+export function comboKey(draw) {
+  return `${draw.verb}|${draw.tenseKey}|${personOf(draw.subject)}`;
+}
+
+/** Weighted random pick with fractional weights (`weightedSample` in the app only handles integers). */
+export function weightedPick(items, weightOf, rand = Math.random) {
+  const weights = items.map(weightOf);
+  const total = weights.reduce((a, b) => a + b, 0);
+  let roll = rand() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+// ---------------------- Plan ----------------------
+/**
+ * Aggregate history into per-dimension averages and a review schedule.
+ * `history` is newest-first, as kept by the app.
+ */
+export function adaptivePlan(history, now = Date.now()) {
+  const stats = {tense: {}, verb: {}, special: {}, person: {}};
+  const combos = {};
+
+  const bump = (dim, value, norm) => {
+    const s = stats[dim][value] || (stats[dim][value] = {n: 0, sum: 0});
+    s.n += 1; s.sum += norm;
+  };
+
+  // Oldest first so Leitner boxes replay in the order the attempts happened
+  [...history].reverse().forEach(h => {
+    if (!h.draw || !h.r) return;
+    const norm = normalizedScore(h);
+    bump("tense", h.draw.tenseKey, norm);
+    bump("verb", h.draw.verb, norm);
+    drawSpecials(h.draw).forEach(sp => bump("special", sp.key, norm)); // a combo counts for each of its specials
+    bump("person", personOf(h.draw.subject), norm);
+
+    const key = comboKey(h.draw);
+    const c = combos[key] || (combos[key] = {key, verb: h.draw.verb, tenseKey: h.draw.tenseKey, person: personOf(h.draw.subject), box: 0});
+    c.box = norm >= MASTERY ? c.box + 1 : 0;
+    c.last = new Date(h.ts).getTime();
+  });
+
+  Object.values(combos).forEach(c => {
+    c.dueAt = c.box === 0 ? c.last : c.last + REVIEW_INTERVALS[Math.min(c.box, REVIEW_INTERVALS.length) - 1];
+  });
+
+  return {stats, combos, now};
+}
+
+export function average(plan, dim, value) {
+  const s = plan.stats[dim][value];
+  return s ? s.sum / s.n : null;
+}
+
+export function dimensionWeight(plan, dim, value) {
+  const avg = average(plan, dim, value);
+  return avg === null ? UNSEEN_WEIGHT : 1 + WEAKNESS_GAIN * (1 - avg);
+}
+
+/** Mastered combos whose interval has elapsed, most overdue first. */
+export function dueReviews(plan) {
+  return Object.values(plan.combos)
+    .filter(c => c.box > 0 && c.dueAt <= plan.now)
+    .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+export function shouldReview(rand = Math.random) {
+  return rand() < REVIEW_CHANCE;
+}
+
+/** A mastered combo still inside its interval should stay out of the deck. */
+export function isResting(plan, draw) {
+  const c = plan.combos[comboKey(draw)];
+  return !!c && c.box > 0 && c.dueAt > plan.now;
+}
+
+// ---------------------- Explanations ----------------------
+function ago(ms) {
+  if (ms < 60 * MINUTE) return `${Math.max(1, Math.round(ms / MINUTE))} min`;
+  if (ms < DAY) return `${Math.round(ms / (60 * MINUTE))} h`;
+  return `${Math.round(ms / DAY)} d`;
+}
+
+/** Short "why this draw" line for the Draw card; `review` is the combo being re-dealt, if any. */
+export function explainDraw(plan, draw, review = null) {
+  if (review) {
+    return `Review: ${draw.verb} · ${draw.tense} · ${review.person} — mastered ${review.box}× (last seen ${ago(plan.now - review.last)} ago)`;
+  }
+  const picks = [
+    ["tense", draw.tenseKey, draw.tense],
+    ["verb", draw.verb, draw.verb],
+    ...drawSpecials(draw).map(sp => ["special", sp.key, sp.text]),
+    ["person", personOf(draw.subject), personOf(draw.subject)],
+  ];
+  const weak = picks
+    .map(([dim, value, label]) => ({label, avg: average(plan, dim, value)}))
+    .filter(p => p.avg !== null && p.avg < MASTERY)
+    .sort((a, b) => a.avg - b.avg)
+    .map(p => `${p.label} (${Math.round(p.avg * 100)}% avg)`);
+  if (weak.length) return `Targeting weak spots: ${weak.join(", ")}`;
+  if (!plan.combos[comboKey(draw)]) return "Exploring a combination you haven't tried yet";
+  return "Balanced draw — no weak spots in this combination";
+}
@@ -0,0 +1,99 @@
+/*
+ Challenges
+ --------------------------------------------------
+ Seeded draws: a challenge is a seed plus a difficulty, and draw n of it is
+ dealt from an RNG seeded with "seed:n", so a link can point at any single
+ draw and everyone with the same seed gets the same sequence. The daily
+ challenge uses the date as its seed. Challenges always deal from the
+ built-in deck so links work for anyone.
+
+ URL form: #challenge=<seed>&level=<difficulty>&draw=<n>
+*/
+import { DIFFICULTY_LEVELS } from "./deck.js";
+
+export const CHALLENGE_DRAWS = 5;
+const DAILY_PREFIX = "daily-";
+
+// ---------------------- RNG ----------------------
+// 32-bit FNV-1a: string seed → integer
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** mulberry32: small, fast and good enough for dealing cards. Returns () => [0, 1). */
+export function seededRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function drawRandom(challenge, index) {
+  return seededRandom(`${challenge.seed}:${index}`);
+}
+
+// ---------------------- Challenges ----------------------
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 8);
+}
+
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** Today's challenge: same seed (the local date) and difficulty for everyone. */
+export function dailyChallenge(date = new Date()) {
+  return {seed: `${DAILY_PREFIX}${localDate(date)}`, difficulty: "standard"};
+}
+
+export function isDaily(challenge) {
+  return challenge.seed.startsWith(DAILY_PREFIX);
+}
+
+export function challengeLabel(challenge) {
+  return isDaily(challenge) ? `Daily ${challenge.seed.slice(DAILY_PREFIX.length)}` : `Challenge ${challenge.seed}`;
+}
+
+// ---------------------- URL ----------------------
+const SEED_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+/** {challenge, index} from a location hash, or null when it isn't a (valid) challenge link. */
+export function parseChallengeHash(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ""));
+  const seed = params.get("challenge");
+  const difficulty = params.get("level") || "standard";
+  const index = Number(params.get("draw") || 0);
+  if (!seed || !SEED_PATTERN.test(seed) || !DIFFICULTY_LEVELS.includes(difficulty)) return null;
+  if (!Number.isInteger(index) || index < 0 || index >= CHALLENGE_DRAWS) return null;
+  return {challenge: {seed, difficulty}, index};
+}
+
+export function challengeHash(challenge, index) {
+  return `#${new URLSearchParams({challenge: challenge.seed, level: challenge.difficulty, draw: String(index)})}`;
+}
+
+// ---------------------- Sharing ----------------------
+const square = (norm) => (norm >= 0.8 ? "🟩" : norm >= 0.5 ? "🟨" : "🟥");
+
+/**
+ * Spoiler-free summary of a finished challenge for pasting in a chat.
+ * `results` holds one {score, max} per draw, in order (missing = skipped).
+ */
+export function shareString(challenge, results, link) {
+  const scored = results.filter(Boolean);
+  const score = scored.reduce((sum, r) => sum + r.score, 0);
+  const max = scored.reduce((sum, r) => sum + r.max, 0);
+  const pct = max ? Math.round((score / max) * 100) : 0;
+  const squares = Array.from({length: CHALLENGE_DRAWS}, (_, i) => (results[i] ? square(results[i].score / results[i].max) : "⬜")).join("");
+  return [`Tiempo Madness · ${challengeLabel(challenge)} (${challenge.difficulty})`, `${squares} ${score}/${max} (${pct}%)`, link].filter(Boolean).join("\n");
+}
@@ -0,0 +1,58 @@
+/*
+ Classroom client
+ --------------------------------------------------
+ Calls to /api/class (see api/class.js) plus the identity that lets a reload
+ rejoin the same class: {role: "teacher", code, teacherKey} or
+ {role: "student", code, studentId, name}. The identity lives in
+ sessionStorage so a teacher and a student can share one browser in two tabs.
+*/
+
+const SS_KEY = "tiempo-madness:class";
+export const CLASS_POLL_MS = 3000;
+
+export class ClassRequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "ClassRequestError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function request(options = {}, query = "") {
+  const response = await fetch(`/api/class${query}`, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new ClassRequestError(response.status, data.code, data.error || `Class request failed with status ${response.status}`);
+  return data;
+}
+
+const post = (body) => request({method: "POST", headers: {"Content-Type": "application/json"}, body: JSON.stringify(body)});
+
+export const createClass = (title) => post({action: "create", title});
+export const joinClass = (code, name) => post({action: "join", code, name});
+export const pushClassDraw = ({code, teacherKey}, draw) => post({action: "draw", code, teacherKey, draw});
+
+/**
+ * Send an attempt scored for `round`; only the fields the teacher's view needs leave the browser.
+ * Rejects with code "round_changed" (409) when the teacher has pushed another draw since.
+ */
+export const submitToClass = ({code, studentId}, round, sentence, r) =>
+  post({action: "submit", code, studentId, round, sentence, result: {score: r.score, max: r.max, source: r.source, corrected: r.corrected}});
+
+/** Current state for either role; the teacher's includes the round summary. */
+export function fetchClass(identity) {
+  const params = new URLSearchParams({code: identity.code});
+  if (identity.studentId) params.set("studentId", identity.studentId);
+  const headers = identity.teacherKey ? {"X-Teacher-Key": identity.teacherKey} : {};
+  return request({headers}, `?${params}`);
+}
+
+// ---------------------- Identity ----------------------
+export function loadClassIdentity() {
+  try { return JSON.parse(sessionStorage.getItem(SS_KEY)) || null; } catch { return null; }
+}
+
+export function saveClassIdentity(identity) {
+  if (identity) sessionStorage.setItem(SS_KEY, JSON.stringify(identity));
+  else sessionStorage.removeItem(SS_KEY);
+}
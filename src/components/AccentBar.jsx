@@ -0,0 +1,40 @@
+import React from "react";
+
+export const ACCENT_KEYS = ["á","é","í","ó","ú","ü","ñ","¿","¡"];
+
+/**
+ * Buttons for the letters a US keyboard lacks. Each inserts at the caret of the
+ * textarea behind `inputRef` (replacing a selection) and leaves the caret after it;
+ * shift-click inserts the capital. The textarea keeps focus, so typing just continues.
+ */
+export function AccentBar({inputRef, value, onChange}) {
+  const insert = (text) => {
+    const el = inputRef.current;
+    const start = el ? el.selectionStart : value.length;
+    const end = el ? el.selectionEnd : value.length;
+    onChange(value.slice(0, start) + text + value.slice(end));
+    // Put the caret back once React has written the new value
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  return (
+    <div role="toolbar" aria-label="Accented letters" className="flex flex-wrap gap-1 mb-2">
+      {ACCENT_KEYS.map(k => (
+        <button
+          key={k}
+          type="button"
+          onMouseDown={e => e.preventDefault()}
+          onClick={e => insert(e.shiftKey ? k.toUpperCase() : k)}
+          title={`Insert ${k} (shift-click for ${k.toUpperCase()})`}
+          className="w-8 h-8 rounded-lg border bg-white text-sm hover:bg-indigo-50"
+        >
+          {k}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+import React from "react";
+
+export function Card({title, children}){
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      {children}
+    </div>
+  );
+}
+export function Li({label, value}){
+  return (
+    <li className="flex gap-2 text-slate-800"><span className="min-w-40 font-medium">{label}:</span><span>{value}</span></li>
+  );
+}
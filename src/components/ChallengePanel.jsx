@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { CHALLENGE_DRAWS, challengeHash, challengeLabel, shareString } from "../challenge.js";
+
+const button = "px-2 py-1 rounded-lg border text-sm bg-white hover:bg-slate-50 disabled:opacity-50";
+
+function linkTo(challenge, index) {
+  return `${window.location.origin}${window.location.pathname}${challengeHash(challenge, index)}`;
+}
+
+/**
+ * Progress through a seeded challenge. `results[i]` is the first {score, max} for
+ * draw i (or undefined); once every draw has one, the share string is offered.
+ */
+export function ChallengePanel({challenge, results, onGoTo, onExit}) {
+  const [copied, setCopied] = useState(null);
+  const finished = results.filter(Boolean).length === CHALLENGE_DRAWS;
+
+  const copy = async (what, text) => {
+    await navigator.clipboard.writeText(text);
+    setCopied(what);
+    setTimeout(() => setCopied(c => (c === what ? null : c)), 2000);
+  };
+  const share = shareString(challenge, results, linkTo(challenge, 0));
+
+  return (
+    <div className="p-3 bg-white rounded-xl border space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{challengeLabel(challenge)}</span>
+        <span className="text-xs text-slate-500">{challenge.difficulty} · built-in deck · first score on each draw counts</span>
+        <div className="flex gap-1 ml-auto" role="list" aria-label="Challenge draws">
+          {Array.from({length: CHALLENGE_DRAWS}, (_, i) => (
+            <button
+              key={i}
+              role="listitem"
+              onClick={() => onGoTo(i)}
+              aria-current={i === challenge.index ? "step" : undefined}
+              title={results[i] ? `Draw ${i + 1}: ${results[i].score}/${results[i].max}` : `Draw ${i + 1}`}
+              className={`w-7 h-7 rounded-lg text-xs border ${i === challenge.index ? "ring-2 ring-indigo-400" : ""} ${results[i] ? "bg-indigo-50" : "bg-white"}`}
+            >
+              {i + 1}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {finished && (
+        <div className="rounded-lg bg-slate-50 p-2">
+          <pre className="text-sm whitespace-pre-wrap">{share}</pre>
+          <button onClick={() => copy("share", share)} className={`${button} mt-1`}>{copied === "share" ? "Copied!" : "Copy result"}</button>
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button onClick={() => copy("link", linkTo(challenge, challenge.index))} className={button}>{copied === "link" ? "Copied!" : "🔗 Copy link to this draw"}</button>
+        <button onClick={onExit} className={button}>Leave challenge</button>
+      </div>
+    </div>
+  );
+}
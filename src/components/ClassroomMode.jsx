@@ -0,0 +1,330 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Card, Li } from "./Card.jsx";
+import { AccentBar } from "./AccentBar.jsx";
+import { CorrectionDiff } from "./CorrectionDiff.jsx";
+import { correctionOf } from "../diff.js";
+import { CLASS_POLL_MS, createClass, fetchClass, joinClass, loadClassIdentity, pushClassDraw, saveClassIdentity, submitToClass } from "../classroom.js";
+
+const button = "px-3 py-2 rounded-xl shadow text-white hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed";
+const input = "w-full px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-400";
+
+// Poll the class while a view is open; `state` is null until the first answer
+function useClassState(identity) {
+  const [state, setState] = useState(null);
+  const [error, setError] = useState(null);
+  const [tick, setTick] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    const load = () => fetchClass(identity)
+      .then(s => { if (live) { setState(s); setError(null); } })
+      .catch(e => { if (live) setError(e); });
+    load();
+    const timer = setInterval(load, CLASS_POLL_MS);
+    return () => { live = false; clearInterval(timer); };
+  }, [identity, tick]);
+
+  return {state, error, refresh: () => setTick(t => t + 1)};
+}
+
+function DrawList({draw}) {
+  return (
+    <ul className="space-y-2">
+      <Li label="Sujeto" value={draw.subject} />
+      <Li label="Verbo" value={draw.verb} />
+      <Li label="Tiempo" value={draw.tense} />
+      <Li label="Señal de tiempo" value={draw.timeCue} />
+      <Li label={draw.specials ? "Especiales" : "Especial"} value={draw.special} />
+    </ul>
+  );
+}
+
+function ClassError({error, onLeave}) {
+  if (!error) return null;
+  return (
+    <div className="p-3 border rounded-xl text-sm bg-amber-50 border-amber-200 text-amber-800">
+      {error.message}
+      {error.status === 404 && <button onClick={onLeave} className="ml-2 underline">Leave this class</button>}
+    </div>
+  );
+}
+
+// ---------------------- Start ----------------------
+function ClassroomStart({onIdentity}) {
+  const [title, setTitle] = useState("");
+  const [code, setCode] = useState("");
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = (task) => async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      onIdentity(await task());
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+  const host = run(async () => {
+    const {code, teacherKey} = await createClass(title.trim() || undefined);
+    return {role: "teacher", code, teacherKey};
+  });
+  const join = run(async () => {
+    const {studentId, state} = await joinClass(code, name);
+    return {role: "student", code: state.code, studentId, name: name.trim()};
+  });
+
+  return (
+    <section className="grid md:grid-cols-2 gap-4">
+      <Card title="🧑‍🏫 Host a class">
+        <p className="text-sm text-slate-600 mb-3">
+          Get a join code for your students, push the same draw to everyone and watch the results come in.
+        </p>
+        <input className={input} placeholder="Class title (optional)" value={title} onChange={e => setTitle(e.target.value)} maxLength={60} />
+        <button onClick={host} disabled={busy} className={`${button} bg-indigo-600 mt-3`}>Create class</button>
+      </Card>
+      <Card title="🎒 Join a class">
+        <div className="space-y-2">
+          <input className={`${input} uppercase tracking-widest`} placeholder="Join code" value={code} onChange={e => setCode(e.target.value)} maxLength={6} aria-label="Join code" />
+          <input className={input} placeholder="Your name" value={name} onChange={e => setName(e.target.value)} maxLength={30} aria-label="Your name" />
+        </div>
+        <button onClick={join} disabled={busy || !code.trim() || !name.trim()} className={`${button} bg-emerald-600 mt-3`}>Join</button>
+      </Card>
+      {error && <p className="md:col-span-2 text-sm text-red-700">{error}</p>}
+    </section>
+  );
+}
+
+// ---------------------- Teacher ----------------------
+function RoundSummary({summary}) {
+  const most = Math.max(1, ...summary.distribution.map(b => b.count));
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <h3 className="font-medium mb-1">Scores (out of 10){summary.average !== null && <span className="font-normal text-slate-500"> · average {summary.average}</span>}</h3>
+        <div className="space-y-1">
+          {summary.distribution.map(b => (
+            <div key={b.label} className="flex items-center gap-2">
+              <span className="w-10 text-xs text-slate-500 tabular-nums">{b.label}</span>
+              <div className="flex-1 bg-slate-100 rounded h-4">
+                <div className="bg-indigo-400 h-4 rounded" style={{width: `${(b.count / most) * 100}%`}} />
+              </div>
+              <span className="w-6 text-right tabular-nums">{b.count}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {summary.commonErrors.length > 0 && (
+        <div>
+          <h3 className="font-medium mb-1">Common errors</h3>
+          <ul className="space-y-0.5">
+            {summary.commonErrors.map(e => <li key={e.label}>{e.label} <span className="text-slate-500">× {e.count}</span></li>)}
+          </ul>
+        </div>
+      )}
+
+      {summary.best.length > 0 && (
+        <div>
+          <h3 className="font-medium mb-1">Best sentences</h3>
+          <ol className="list-decimal ml-5 space-y-0.5">
+            {summary.best.map((b, i) => <li key={i}>“{b.sentence}” <span className="text-slate-500">— {b.name}, {b.score}/{b.max}</span></li>)}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TeacherView({identity, deal, onLeave}) {
+  const {state, error, refresh} = useClassState(identity);
+  const [pushing, setPushing] = useState(false);
+  const [pushError, setPushError] = useState(null);
+
+  const push = async () => {
+    setPushing(true);
+    setPushError(null);
+    try {
+      await pushClassDraw(identity, deal());
+      refresh();
+    } catch (e) {
+      setPushError(e.message);
+    } finally {
+      setPushing(false);
+    }
+  };
+
+  const summary = state?.summary;
+  return (
+    <section className="space-y-4">
+      <ClassError error={error} onLeave={onLeave} />
+      <div className="p-3 bg-white rounded-xl border flex flex-wrap items-center gap-3">
+        <span className="font-medium">{state?.title || "Class"}</span>
+        <span className="text-sm text-slate-600">Join code</span>
+        <span className="text-2xl font-mono tracking-widest">{identity.code}</span>
+        <span className="text-sm text-slate-500">{state ? `${state.students} student${state.students === 1 ? "" : "s"}` : "…"}</span>
+        <button onClick={onLeave} className="ml-auto px-2 py-1 rounded-lg border text-sm bg-white hover:bg-slate-50">Leave</button>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <Card title={state?.round ? `Round ${state.round}` : "No draw yet"}>
+          {state?.draw ? <DrawList draw={state.draw} /> : <p className="text-sm text-slate-600">Students wait until you push the first draw.</p>}
+          <button onClick={push} disabled={pushing || !state} className={`${button} bg-indigo-600 mt-4`}>
+            {state?.round ? "Push next draw" : "Push first draw"}
+          </button>
+          {pushError && <p className="text-sm text-red-700 mt-2">{pushError}</p>}
+        </Card>
+
+        <Card title={summary ? `Submissions (${summary.submitted}/${state.students})` : "Submissions"}>
+          {!summary || !summary.submitted ? (
+            <p className="text-sm text-slate-600">Nothing submitted for this round yet.</p>
+          ) : (
+            <RoundSummary summary={summary} />
+          )}
+          {summary?.waiting.length > 0 && <p className="text-xs text-slate-500 mt-3">Waiting for: {summary.waiting.join(", ")}</p>}
+        </Card>
+      </div>
+
+      {summary?.submitted > 0 && (
+        <Card title="All sentences this round">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-2 pr-3">Student</th>
+                <th className="py-2 pr-3">Sentence</th>
+                <th className="py-2 pr-3">Score</th>
+                <th className="py-2" title="The server's heuristic score, as a cross-check">Heuristic</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.submissions.map((s, i) => (
+                <tr key={i} className="align-top border-t">
+                  <td className="py-2 pr-3 whitespace-nowrap">{s.name}</td>
+                  <td className="py-2 pr-3">
+                    {correctionOf(s) ? <CorrectionDiff sentence={s.sentence} corrected={correctionOf(s)} draw={state.draw} /> : s.sentence}
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{s.score} / {s.max}</td>
+                  <td className="py-2 whitespace-nowrap text-slate-500">{s.local.score} / {s.local.max}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </section>
+  );
+}
+
+// ---------------------- Student ----------------------
+function StudentView({identity, score, onLeave}) {
+  const {state, error, refresh} = useClassState(identity);
+  const [sentence, setSentence] = useState("");
+  const inputRef = useRef(null);
+  const [result, setResult] = useState(null);
+  const [isScoring, setIsScoring] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const round = state?.round;
+  const currentRound = useRef(round);
+  currentRound.current = round;
+
+  // A new draw from the teacher starts a clean attempt
+  useEffect(() => {
+    setSentence("");
+    setResult(null);
+    setSubmitError(null);
+  }, [round]);
+
+  // The round is fixed when scoring starts, so a slow score can't land on the teacher's next draw
+  const submit = async () => {
+    const scoredRound = round;
+    setIsScoring(true);
+    setSubmitError(null);
+    try {
+      const r = await score(sentence, state.draw);
+      if (currentRound.current !== scoredRound) return; // the next draw arrived while scoring
+      setResult({...r, sentence});
+      await submitToClass(identity, scoredRound, sentence, r);
+      refresh();
+    } catch (e) {
+      setSubmitError(e.message);
+    } finally {
+      setIsScoring(false);
+    }
+  };
+
+  return (
+    <section className="space-y-4">
+      <ClassError error={error} onLeave={onLeave} />
+      <div className="p-3 bg-white rounded-xl border flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium">{state?.title || "Class"}</span>
+        <span className="text-slate-500">{identity.code} · {identity.name}</span>
+        <button onClick={onLeave} className="ml-auto px-2 py-1 rounded-lg border bg-white hover:bg-slate-50">Leave</button>
+      </div>
+
+      {!state?.draw ? (
+        <Card title="Waiting for the teacher">
+          <p className="text-sm text-slate-600">The draw appears here as soon as your teacher pushes it.</p>
+        </Card>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          <Card title={`Round ${state.round}`}>
+            <DrawList draw={state.draw} />
+          </Card>
+          <Card title="Your sentence">
+            <AccentBar inputRef={inputRef} value={sentence} onChange={setSentence} />
+            <textarea
+              ref={inputRef}
+              value={sentence}
+              onChange={e => setSentence(e.target.value)}
+              placeholder="Escribe tu frase aquí…"
+              className="w-full h-28 p-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+            <button onClick={submit} disabled={isScoring || !sentence.trim()} className={`${button} bg-emerald-600 mt-2`}>
+              {isScoring ? "Scoring..." : state.submitted ? "Submit again" : "Submit"}
+            </button>
+            {submitError && <p className="text-sm text-red-700 mt-2">{submitError}</p>}
+            {state.submitted && !submitError && <p className="text-sm text-emerald-700 mt-2">✓ Sent to your teacher. Wait for the next draw.</p>}
+            {result && (
+              <div className="mt-3 rounded-xl border bg-white p-3 text-sm">
+                <p className="font-medium">{result.score} / {result.max}</p>
+                {result.notes.length > 0 && (
+                  <ul className="list-disc ml-5 mt-1 text-slate-700 space-y-1">
+                    {result.notes.map((n, i) => <li key={i}>{n}</li>)}
+                  </ul>
+                )}
+                {correctionOf(result) && (
+                  <div className="mt-2 pt-2 border-t">
+                    <span className="font-medium text-slate-600">Suggested correction:</span>
+                    <CorrectionDiff sentence={result.sentence} corrected={correctionOf(result)} draw={state.draw} />
+                  </div>
+                )}
+              </div>
+            )}
+          </Card>
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Classroom play: a teacher hosts a session and pushes draws dealt with `deal()`;
+ * students score with `score(sentence, draw)` (the app's selected scorer, recorded
+ * in their history) and the result is sent to the teacher's live view.
+ */
+export function ClassroomMode({deal, score}) {
+  const [identity, setIdentity] = useState(loadClassIdentity);
+  const choose = (next) => {
+    saveClassIdentity(next);
+    setIdentity(next);
+  };
+  const leave = () => choose(null);
+
+  if (!identity) return <ClassroomStart onIdentity={choose} />;
+  return identity.role === "teacher"
+    ? <TeacherView identity={identity} deal={deal} onLeave={leave} />
+    : <StudentView identity={identity} score={score} onLeave={leave} />;
+}
@@ -0,0 +1,43 @@
+import React, { useMemo } from "react";
+import { DIFF_CATEGORIES, diffSummary, diffWords } from "../diff.js";
+
+const mark = {
+  delete: "bg-red-100 text-red-900 line-through",
+  insert: "bg-emerald-100 text-emerald-900",
+};
+
+/**
+ * The correction with the player's sentence diffed into it: removed words struck
+ * through in red, added ones in green; hovering a change shows its category.
+ */
+export function CorrectionDiff({sentence, corrected, draw}) {
+  const ops = useMemo(() => diffWords(sentence, corrected, draw), [sentence, corrected, draw]);
+  const summary = Object.entries(diffSummary(ops));
+  const label = (o) => (o.category ? DIFF_CATEGORIES[o.category] : o.type === "insert" ? "Missing word" : "Extra word");
+
+  return (
+    <div className="text-sm">
+      <p className="leading-7">
+        {ops.map((o, i) => (
+          <React.Fragment key={i}>
+            {i > 0 && " "}
+            {o.type === "same" && <span>{o.to}</span>}
+            {o.type === "delete" && <del className={`rounded px-0.5 ${mark.delete}`} title={label(o)}>{o.from}</del>}
+            {o.type === "insert" && <ins className={`rounded px-0.5 no-underline ${mark.insert}`} title={label(o)}>{o.to}</ins>}
+            {o.type === "replace" && (
+              <span title={label(o)}>
+                <del className={`rounded px-0.5 ${mark.delete}`}>{o.from}</del>
+                <ins className={`rounded px-0.5 ml-0.5 no-underline ${mark.insert}`}>{o.to}</ins>
+              </span>
+            )}
+          </React.Fragment>
+        ))}
+      </p>
+      {summary.length > 0 && (
+        <p className="text-xs text-slate-500 mt-1">
+          {summary.map(([category, n]) => `${DIFF_CATEGORIES[category]}${n > 1 ? ` ×${n}` : ""}`).join(" · ")}
+        </p>
+      )}
+    </div>
+  );
+}
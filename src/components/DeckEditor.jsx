@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Card } from "./Card.jsx";
+import { DEFAULT_DECK, SPECIAL_DETECTORS, TENSES } from "../deck.js";
+import { DECK_LIMITS, DeckPackError, deckToPack, makeDeckId, parseDeckPack, validateDeck } from "../deckPack.js";
+import { hasIrregularForms } from "../conjugation.js";
+import { downloadFile } from "../historyStore.js";
+
+const button = "px-2 py-1 rounded-lg border text-sm bg-white hover:bg-slate-50 disabled:opacity-50";
+const field = "border rounded-lg px-2 py-1 bg-white text-sm";
+
+function Section({title, count, children}) {
+  return (
+    <details className="border-t pt-2" open>
+      <summary className="cursor-pointer text-sm font-semibold">{title} <span className="font-normal text-slate-500">({count})</span></summary>
+      <div className="mt-2">{children}</div>
+    </details>
+  );
+}
+
+function VerbList({verbs, onChange}) {
+  const [inf, setInf] = useState("");
+  const [irregular, setIrregular] = useState(false);
+  const add = (e) => {
+    e.preventDefault();
+    onChange([...verbs, irregular ? {inf: inf.trim().toLowerCase(), irregular} : {inf: inf.trim().toLowerCase()}]);
+    setInf("");
+    setIrregular(false);
+  };
+  const unknownIrregulars = verbs.filter(v => v.irregular && !hasIrregularForms(v.inf)).map(v => v.inf);
+
+  return (
+    <>
+      <ul className="flex flex-wrap gap-2">
+        {verbs.map((v, i) => (
+          <li key={i} className="flex items-center gap-1 px-2 py-1 rounded-full bg-slate-100 text-sm">
+            {v.inf}
+            <button
+              onClick={() => onChange(verbs.map((x, j) => (j === i ? {...x, irregular: !x.irregular} : x)))}
+              title={v.irregular ? "Irregular (bonus point when conjugated correctly) — click to mark regular" : "Regular — click to mark irregular"}
+              aria-pressed={Boolean(v.irregular)}
+              className={v.irregular ? "text-amber-600" : "text-slate-300 hover:text-slate-500"}
+            >★</button>
+            <button onClick={() => onChange(verbs.filter((_, j) => j !== i))} aria-label={`Remove ${v.inf}`} className="text-slate-400 hover:text-slate-800">✕</button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={add} className="flex items-center gap-2 mt-2">
+        <input value={inf} onChange={e => setInf(e.target.value)} placeholder="infinitive, e.g. cocinar" maxLength={DECK_LIMITS.verb} className={field} />
+        <label className="flex items-center gap-1 text-sm"><input type="checkbox" checked={irregular} onChange={e => setIrregular(e.target.checked)} /> irregular</label>
+        <button type="submit" disabled={!inf.trim()} className={button}>Add verb</button>
+      </form>
+      {unknownIrregulars.length > 0 && (
+        <p className="mt-2 text-xs text-amber-700">
+          No irregular forms known for {unknownIrregulars.join(", ")}: the local scorer will expect regular conjugations.
+        </p>
+      )}
+    </>
+  );
+}
+
+function CueList({cues, onChange}) {
+  const update = (i, patch) => onChange(cues.map((c, j) => (j === i ? {...c, ...patch} : c)));
+  const toggle = (i, key) => {
+    const allow = cues[i].allow.includes(key) ? cues[i].allow.filter(k => k !== key) : [...cues[i].allow, key];
+    update(i, {allow: TENSES.map(t => t.key).filter(k => allow.includes(k))});
+  };
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-sm">
+        <thead>
+          <tr className="text-left text-slate-600">
+            <th className="py-1 pr-2">Cue</th>
+            {TENSES.map(t => <th key={t.key} className="py-1 px-1 text-xs font-normal" title={t.name}>{t.key}</th>)}
+            <th className="py-1 px-1">Weight</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {cues.map((c, i) => (
+            <tr key={i} className="border-t">
+              <td className="py-1 pr-2"><input value={c.text} onChange={e => update(i, {text: e.target.value})} maxLength={DECK_LIMITS.cue} className={`${field} w-44`} aria-label={`Time cue ${i + 1}`} /></td>
+              {TENSES.map(t => (
+                <td key={t.key} className="py-1 px-1 text-center">
+                  <input type="checkbox" checked={c.allow.includes(t.key)} onChange={() => toggle(i, t.key)} aria-label={`${c.text || `Cue ${i + 1}`} works with ${t.name}`} />
+                </td>
+              ))}
+              <td className="py-1 px-1">
+                <input type="number" min={1} max={DECK_LIMITS.maxWeight} value={c.weight} onChange={e => update(i, {weight: Number(e.target.value)})} className={`${field} w-14`} aria-label="Weight" />
+              </td>
+              <td><button onClick={() => onChange(cues.filter((_, j) => j !== i))} aria-label="Remove cue" className="text-slate-400 hover:text-slate-800">✕</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => onChange([...cues, {text: "", allow: [], weight: 1}])} className={`${button} mt-2`}>Add time cue</button>
+    </div>
+  );
+}
+
+function SpecialList({specials, onChange}) {
+  const update = (i, patch) => onChange(specials.map((sp, j) => (j === i ? {...sp, ...patch} : sp)));
+  return (
+    <>
+      <ul className="space-y-1">
+        {specials.map((sp, i) => (
+          <li key={i} className="flex items-center gap-2">
+            <input value={sp.text} onChange={e => update(i, {text: e.target.value})} maxLength={DECK_LIMITS.special} className={`${field} flex-1`} aria-label={`Special ${i + 1}`} />
+            <select value={sp.key} onChange={e => update(i, {key: e.target.value})} className={field} aria-label="Detector">
+              {Object.entries(SPECIAL_DETECTORS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <button onClick={() => onChange(specials.filter((_, j) => j !== i))} aria-label="Remove special" className="text-slate-400 hover:text-slate-800">✕</button>
+          </li>
+        ))}
+      </ul>
+      <button onClick={() => onChange([...specials, {text: "", key: "neg"}])} className={`${button} mt-2`}>Add special</button>
+    </>
+  );
+}
+
+/**
+ * Pick the deck draws are dealt from, and create, edit, import and export custom
+ * decks. The built-in deck is read-only; `onSave(deck)` adds or replaces a custom deck and
+ * `onSelect(deck)` makes one active.
+ */
+export function DeckEditor({decks, activeId, onSelect, onSave, onDelete}) {
+  const all = [DEFAULT_DECK, ...decks];
+  const active = all.find(d => d.id === activeId) || DEFAULT_DECK;
+  const [draft, setDraft] = useState(active);
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+
+  // Switching decks discards unsaved edits
+  useEffect(() => { setDraft(active); }, [active]);
+
+  const isBuiltIn = active.id === DEFAULT_DECK.id;
+  const issues = validateDeck(draft);
+  const dirty = draft !== active;
+
+  const duplicate = () => {
+    const copy = {...active, id: makeDeckId(), name: `${active.name} (copy)`.slice(0, DECK_LIMITS.name)};
+    onSave(copy);
+    onSelect(copy);
+    setMessage(null);
+  };
+
+  const exportPack = () => {
+    const slug = active.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "") || "deck";
+    downloadFile(`tiempo-madness-deck-${slug}.json`, deckToPack(active), "application/json");
+  };
+
+  const importPack = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const deck = parseDeckPack(await file.text());
+      onSave(deck);
+      onSelect(deck);
+      setMessage({ok: true, text: `Imported “${deck.name}” (${deck.verbs.length} verbs, ${deck.timeCues.length} time cues, ${deck.specials.length} specials).`});
+    } catch (error) {
+      const details = error instanceof DeckPackError ? error.issues : [];
+      setMessage({ok: false, text: `Import failed: ${error.message}`, details});
+    }
+  };
+
+  return (
+    <Card title="🃏 Decks">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={active.id} onChange={e => onSelect(all.find(d => d.id === e.target.value))} className={field} aria-label="Active deck">
+          {all.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+        </select>
+        <button onClick={duplicate} className={button}>Duplicate</button>
+        <button onClick={exportPack} className={button}>Export pack</button>
+        <button onClick={() => fileRef.current?.click()} className={button}>Import pack</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importPack} />
+        {!isBuiltIn && (
+          <button onClick={() => { if (confirm(`Delete the deck “${active.name}”?`)) onDelete(active.id); }} className={`${button} text-red-700`}>Delete</button>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mt-2 text-sm ${message.ok ? "text-emerald-700" : "text-red-700"}`}>
+          {message.text}
+          {message.details?.length > 0 && <ul className="list-disc ml-5 text-xs">{message.details.map((d, i) => <li key={i}>{d}</li>)}</ul>}
+        </div>
+      )}
+
+      {isBuiltIn ? (
+        <p className="mt-3 text-sm text-slate-600">
+          The built-in deck has {active.verbs.length} verbs, {active.timeCues.length} time cues and {active.specials.length} specials.
+          Duplicate it (or import a pack) to make your own.
+        </p>
+      ) : (
+        <div className="mt-3 space-y-3">
+          <label className="flex items-center gap-2 text-sm">
+            Name
+            <input value={draft.name} onChange={e => setDraft({...draft, name: e.target.value})} maxLength={DECK_LIMITS.name} className={`${field} flex-1`} />
+          </label>
+          <Section title="Verbs" count={draft.verbs.length}>
+            <VerbList verbs={draft.verbs} onChange={verbs => setDraft({...draft, verbs})} />
+          </Section>
+          <Section title="Time cues" count={draft.timeCues.length}>
+            <CueList cues={draft.timeCues} onChange={timeCues => setDraft({...draft, timeCues})} />
+          </Section>
+          <Section title="Specials" count={draft.specials.length}>
+            <SpecialList specials={draft.specials} onChange={specials => setDraft({...draft, specials})} />
+          </Section>
+
+          {issues.length > 0 && (
+            <ul className="list-disc ml-5 text-xs text-red-700">{issues.map((issue, i) => <li key={i}>{issue}</li>)}</ul>
+          )}
+          <div className="flex gap-2">
+            <button onClick={() => onSave(draft)} disabled={!dirty || issues.length > 0} className={button}>Save deck</button>
+            <button onClick={() => setDraft(active)} disabled={!dirty} className={button}>Discard changes</button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
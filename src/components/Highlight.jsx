@@ -0,0 +1,38 @@
+import React from "react";
+
+/**
+ * The sentence with the tokens a special-condition detector reported marked up.
+ * `special` is the heuristic result's {key, ok, tokens}; passing tokens are green,
+ * offending ones (English words for "sin inglés") red.
+ */
+export function SpecialHighlight({sentence, special, label = "Especial"}) {
+  if (!special?.tokens?.length) return null;
+  const text = sentence.trim().normalize("NFC"); // offsets come from the trimmed, NFC sentence
+  const parts = [];
+  let at = 0;
+  [...special.tokens].sort((a, b) => a.start - b.start).forEach((t, i) => {
+    if (t.start < at) return;
+    parts.push(text.slice(at, t.start));
+    parts.push(
+      <mark key={i} className={`rounded px-0.5 ${special.ok ? "bg-emerald-100 text-emerald-900" : "bg-red-100 text-red-900"}`}>
+        {text.slice(t.start, t.end)}
+      </mark>
+    );
+    at = t.end;
+  });
+  parts.push(text.slice(at));
+
+  return (
+    <p className="mt-2 text-sm text-slate-700">
+      <span className="font-medium text-slate-600">{label} {special.ok ? "✓" : "✗"}:</span> {parts}
+    </p>
+  );
+}
+
+/** A SpecialHighlight per special a result checked; combo cards have several, numbered as on the card. */
+export function SpecialHighlights({sentence, r}) {
+  const specials = r.specials || (r.special ? [r.special] : []);
+  return specials.map((sp, i) => (
+    <SpecialHighlight key={i} sentence={sentence} special={sp} label={specials.length > 1 ? `Especial ${i + 1}` : "Especial"} />
+  ));
+}
@@ -0,0 +1,43 @@
+import React, { useMemo } from "react";
+import { HINT_TIERS, hintFactor, hintsFor } from "../hints.js";
+
+/** Tiered hints for the current draw; `shown` is how many tiers are revealed. */
+export function HintsPanel({draw, shown, onReveal}) {
+  const hints = useMemo(() => hintsFor(draw), [draw]);
+  const next = HINT_TIERS[shown];
+
+  return (
+    <div className="mt-3 border-t pt-3">
+      <div className="flex items-center gap-2">
+        <span className="text-sm font-medium">💡 Hints</span>
+        {next ? (
+          <button onClick={onReveal} className="px-2 py-1 rounded-lg border text-sm bg-white hover:bg-slate-50">
+            Show {next.label.toLowerCase()} (−{Math.round(next.penalty * 100)}% max)
+          </button>
+        ) : (
+          <span className="text-xs text-slate-500">All hints shown</span>
+        )}
+        {shown > 0 && <span className="ml-auto text-xs text-amber-700">Max score now {Math.round(hintFactor(shown) * 100)}%</span>}
+      </div>
+
+      {shown > 0 && (
+        <div className="mt-2 space-y-2 text-sm text-slate-700">
+          {hints.tense && <p>{hints.tense}</p>}
+          {shown > 1 && (
+            <table className="text-sm">
+              <tbody>
+                {hints.table.map(row => (
+                  <tr key={row.person} className={row.drawn ? "font-semibold text-indigo-800" : ""}>
+                    <td className="pr-3 text-slate-500">{row.person}</td>
+                    <td>{row.form ?? "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {shown > 2 && hints.example && <p className="italic">{hints.example}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Card } from "./Card.jsx";
+import { CorrectionDiff } from "./CorrectionDiff.jsx";
+import { correctionOf } from "../diff.js";
+import { downloadFile, historyToCSV, historyToJSON, parseHistoryJSON, SOURCE_LABELS, sourceOf } from "../historyStore.js";
+
+const PAGE_SIZE = 20;
+
+function uniqueBy(list, keyOf, labelOf) {
+  const seen = new Map();
+  list.forEach(x => { const k = keyOf(x); if (k && !seen.has(k)) seen.set(k, labelOf(x)); });
+  return [...seen.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+}
+
+// Full persisted history with filters, sentence search, paging and export/import
+export function HistoryCard({history, onImport}) {
+  const [query, setQuery] = useState("");
+  const [tense, setTense] = useState("");
+  const [verb, setVerb] = useState("");
+  const [source, setSource] = useState("");
+  const [page, setPage] = useState(0);
+  const [importMsg, setImportMsg] = useState(null);
+  const [openDiff, setOpenDiff] = useState(null); // attempt id whose correction diff is shown
+  const fileRef = useRef(null);
+
+  const options = useMemo(() => ({
+    tenses: uniqueBy(history, h => h.draw.tenseKey, h => h.draw.tense),
+    verbs: uniqueBy(history, h => h.draw.verb, h => h.draw.verb),
+    sources: uniqueBy(history, sourceOf, h => SOURCE_LABELS[sourceOf(h)] || sourceOf(h)),
+  }), [history]);
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return history.filter(h =>
+      (!tense || h.draw.tenseKey === tense) &&
+      (!verb || h.draw.verb === verb) &&
+      (!source || sourceOf(h) === source) &&
+      (!q || h.sentence.toLowerCase().includes(q))
+    );
+  }, [history, query, tense, verb, source]);
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const current = Math.min(page, pageCount - 1);
+  const rows = filtered.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+  // Any filter change starts from the first page again
+  const filterSetter = (set) => (e) => { set(e.target.value); setPage(0); };
+
+  const stamp = () => new Date().toISOString().slice(0, 10);
+  const exportJSON = () => downloadFile(`tiempo-madness-history-${stamp()}.json`, historyToJSON(history), "application/json");
+  const exportCSV = () => downloadFile(`tiempo-madness-history-${stamp()}.csv`, historyToCSV(history), "text/csv");
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const added = await onImport(parseHistoryJSON(await file.text()));
+      setImportMsg({ok: true, text: `Imported ${added} new attempt${added === 1 ? "" : "s"} from ${file.name}.`});
+    } catch (error) {
+      setImportMsg({ok: false, text: `Import failed: ${error.message}`});
+    }
+  };
+
+  const select = "border rounded-lg px-2 py-1 bg-white text-sm";
+  const button = "px-2 py-1 rounded-lg border text-sm bg-white hover:bg-slate-50 disabled:opacity-50";
+
+  return (
+    <Card title={`History (${history.length})`}>
+      <div className="flex flex-wrap gap-2 mb-3">
+        <input
+          type="search"
+          placeholder="Search sentences…"
+          value={query}
+          onChange={filterSetter(setQuery)}
+          className="flex-1 min-w-40 px-2 py-1 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-400"
+        />
+        <select className={select} value={tense} onChange={filterSetter(setTense)}>
+          <option value="">All tenses</option>
+          {options.tenses.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <select className={select} value={verb} onChange={filterSetter(setVerb)}>
+          <option value="">All verbs</option>
+          {options.verbs.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <select className={select} value={source} onChange={filterSetter(setSource)}>
+          <option value="">All sources</option>
+          {options.sources.map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <button onClick={exportJSON} disabled={!history.length} className={button}>Export JSON</button>
+        <button onClick={exportCSV} disabled={!history.length} className={button}>Export CSV</button>
+        <button onClick={() => fileRef.current?.click()} className={button}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        {importMsg && (
+          <span className={`text-xs ${importMsg.ok ? "text-emerald-700" : "text-red-700"}`}>{importMsg.text}</span>
+        )}
+      </div>
+
+      {history.length===0 ? (
+        <p className="text-sm text-slate-600">No attempts yet.</p>
+      ) : filtered.length===0 ? (
+        <p className="text-sm text-slate-600">No attempts match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-600">
+                <th className="py-2 pr-3">When</th>
+                <th className="py-2 pr-3">Draw</th>
+                <th className="py-2 pr-3">Sentence</th>
+                <th className="py-2">Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(h => (
+                <tr key={h.id} className="align-top border-t">
+                  <td className="py-2 pr-3 whitespace-nowrap">{new Date(h.ts).toLocaleString()}</td>
+                  <td className="py-2 pr-3">
+                    <div className="text-slate-800">
+                      <div><b>S:</b> {h.draw.subject} <b>V:</b> {h.draw.verb} <b>T:</b> {h.draw.tense}</div>
+                      <div><b>Cue:</b> {h.draw.timeCue} <b>Esp.:</b> {h.draw.special}</div>
+                    </div>
+                  </td>
+                  <td className="py-2 pr-3">
+                    {h.player && <span className="block text-xs text-slate-500">👤 {h.player}</span>}
+                    {h.mode === "timed" && <span className="block text-xs text-slate-500">⏱️ timed</span>}
+                    {h.mode === "class" && <span className="block text-xs text-slate-500">🏫 class</span>}
+                    {h.mode === "story" && <span className="block text-xs text-slate-500">📖 story, sentence {h.storyIndex + 1}{h.storyUnfinished ? " (unfinished)" : ""}</span>}
+                    {h.hints > 0 && <span className="block text-xs text-amber-700">💡 {h.hints} hint{h.hints === 1 ? "" : "s"}</span>}
+                    {h.sentence}
+                    {correctionOf(h.r) && (
+                      <button
+                        onClick={() => setOpenDiff(openDiff === h.id ? null : h.id)}
+                        aria-expanded={openDiff === h.id}
+                        className="block text-xs text-indigo-700 hover:underline mt-1"
+                      >
+                        {openDiff === h.id ? "Hide correction" : "Show correction"}
+                      </button>
+                    )}
+                    {openDiff === h.id && <div className="mt-1"><CorrectionDiff sentence={h.sentence} corrected={correctionOf(h.r)} draw={h.draw} /></div>}
+                  </td>
+                  <td className="py-2 whitespace-nowrap" title={SOURCE_LABELS[sourceOf(h)]}>
+                    {h.r.score} / {h.r.max}
+                    {h.rescore && <span className="block text-xs text-slate-500" title="Scored locally while the AI judge was unreachable">⏳ AI re-score queued</span>}
+                    {h.upgraded && <span className="block text-xs text-emerald-700" title={`Re-scored ${new Date(h.upgraded.at).toLocaleString()}`}>⬆️ upgraded from {h.upgraded.from.score} / {h.upgraded.from.max}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {pageCount > 1 && (
+            <div className="flex items-center justify-between mt-3 text-sm text-slate-600">
+              <button onClick={() => setPage(current - 1)} disabled={current === 0} className={button}>← Newer</button>
+              <span>Page {current + 1} of {pageCount} · {filtered.length} attempts</span>
+              <button onClick={() => setPage(current + 1)} disabled={current >= pageCount - 1} className={button}>Older →</button>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
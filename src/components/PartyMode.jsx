@@ -0,0 +1,258 @@
+import React, { useRef, useState } from "react";
+import { Card, Li } from "./Card.jsx";
+import { AccentBar } from "./AccentBar.jsx";
+import { SpecialHighlights } from "./Highlight.jsx";
+import { CorrectionDiff } from "./CorrectionDiff.jsx";
+import { correctionOf } from "../diff.js";
+import { DEAL_MODES, MAX_ROUNDS, TURN_ORDERS, activePlayer, cleanPlayers, createParty, leaderboard, submitTurn, turnsInRound } from "../party.js";
+
+const button = "px-3 py-2 rounded-xl shadow text-white hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed";
+const field = "border rounded-lg px-2 py-1 bg-white text-sm";
+
+function PartySetup({initial, onStart}) {
+  const [names, setNames] = useState(initial.players);
+  const [draft, setDraft] = useState("");
+  const [rounds, setRounds] = useState(initial.rounds);
+  const [dealMode, setDealMode] = useState(initial.dealMode);
+  const [turnOrder, setTurnOrder] = useState(initial.turnOrder);
+  const [revealSentences, setRevealSentences] = useState(initial.revealSentences);
+
+  const addName = (e) => {
+    e.preventDefault();
+    setNames(cleanPlayers([...names, draft]));
+    setDraft("");
+  };
+  const players = cleanPlayers(names);
+
+  return (
+    <Card title="Party setup">
+      <form onSubmit={addName} className="flex gap-2">
+        <input
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          placeholder="Player name"
+          maxLength={24}
+          className="flex-1 px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-400"
+        />
+        <button type="submit" disabled={!draft.trim()} className={`${button} bg-slate-800`}>Add</button>
+      </form>
+      <ul className="flex flex-wrap gap-2 mt-3">
+        {players.map((p, i) => (
+          <li key={p} className="flex items-center gap-1 px-2 py-1 rounded-full bg-indigo-50 text-indigo-800 text-sm">
+            <span className="text-xs text-indigo-400">{i + 1}.</span> {p}
+            <button onClick={() => setNames(players.filter(n => n !== p))} aria-label={`Remove ${p}`} className="ml-1 text-indigo-400 hover:text-indigo-800">✕</button>
+          </li>
+        ))}
+        {players.length === 0 && <li className="text-sm text-slate-500">Add at least two players.</li>}
+      </ul>
+
+      <div className="grid md:grid-cols-2 gap-3 mt-4 text-sm">
+        <label className="flex items-center gap-2">
+          Rounds
+          <input type="number" min={1} max={MAX_ROUNDS} value={rounds} onChange={e => setRounds(Number(e.target.value))} className={`${field} w-20`} />
+        </label>
+        <label className="flex items-center gap-2">
+          Cards
+          <select value={dealMode} onChange={e => setDealMode(e.target.value)} className={field}>
+            {Object.entries(DEAL_MODES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Turn order
+          <select value={turnOrder} onChange={e => setTurnOrder(e.target.value)} className={field}>
+            {Object.entries(TURN_ORDERS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={revealSentences} onChange={e => setRevealSentences(e.target.checked)} />
+          Players see each other's sentences during the game
+        </label>
+      </div>
+
+      <button
+        onClick={() => onStart({players, rounds, dealMode, turnOrder, revealSentences})}
+        disabled={players.length < 2}
+        className={`${button} bg-indigo-600 mt-4`}
+      >
+        Start party
+      </button>
+    </Card>
+  );
+}
+
+function Leaderboard({party}) {
+  const standings = leaderboard(party);
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-600">
+            <th className="py-1 pr-2">#</th>
+            <th className="py-1 pr-2">Player</th>
+            {standings[0].rounds.map((_, i) => <th key={i} className="py-1 px-1 text-right">R{i + 1}</th>)}
+            <th className="py-1 pl-2 text-right">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((s, i) => (
+            <tr key={s.player} className="border-t">
+              <td className="py-1 pr-2">{i + 1}</td>
+              <td className="py-1 pr-2 font-medium">{s.player}</td>
+              {s.rounds.map((pts, r) => <td key={r} className="py-1 px-1 text-right tabular-nums text-slate-600">{pts ?? "–"}</td>)}
+              <td className="py-1 pl-2 text-right tabular-nums font-semibold">{s.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-1 text-xs text-slate-500">Points per turn = score ÷ max × 100, so local and AI scores count the same.</p>
+    </div>
+  );
+}
+
+function TurnLog({turns, showSentences}) {
+  if (!turns.length) return null;
+  return (
+    <ul className="mt-3 space-y-1 text-sm">
+      {turns.map((t, i) => (
+        <li key={i} className="flex gap-2">
+          <span className="font-medium">{t.player}</span>
+          <span className="text-slate-500 tabular-nums">{t.points} pts</span>
+          {showSentences ? <span className="text-slate-700">“{t.sentence}”</span> : <span className="text-slate-400">sentence hidden</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function PartyResults({party, onReplay, onNew}) {
+  const standings = leaderboard(party);
+  const top = standings[0].total;
+  const winners = standings.filter(s => s.total === top).map(s => s.player);
+  return (
+    <div className="space-y-4">
+      <Card title="🏆 Final results">
+        <p className="text-lg mb-3">
+          {winners.length > 1 ? `Tie between ${winners.join(" & ")}` : `${winners[0]} wins`} with {top} points!
+        </p>
+        <Leaderboard party={party} />
+        <div className="flex gap-2 mt-4">
+          <button onClick={onReplay} className={`${button} bg-indigo-600`}>Play again</button>
+          <button onClick={onNew} className={`${button} bg-slate-800`}>New party</button>
+        </div>
+      </Card>
+      <Card title="All sentences">
+        {Array.from({length: party.config.rounds}, (_, i) => (
+          <div key={i} className="mb-3">
+            <h3 className="text-sm font-semibold">Round {i + 1}</h3>
+            <ul className="text-sm space-y-1 mt-1">
+              {turnsInRound(party, i + 1).map((t, j) => (
+                <li key={j}>
+                  <span className="font-medium">{t.player}</span>{" "}
+                  <span className="text-slate-500">({t.draw.subject} · {t.draw.verb} · {t.draw.tense} · {t.draw.timeCue}, {t.points} pts)</span>{" "}
+                  “{t.sentence}”
+                  {correctionOf(t.r) && <span className="block text-emerald-700 text-xs">→ {correctionOf(t.r)}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </Card>
+    </div>
+  );
+}
+
+const DEFAULT_SETUP = {players: [], rounds: 3, dealMode: "each", turnOrder: "rotate", revealSentences: false};
+
+/**
+ * Hot-seat party. `deal()` returns a fresh draw; `score(sentence, draw, player)` resolves to
+ * a result using the app's selected scoring mode (and records it in history).
+ */
+export function PartyMode({deal, score, scorerLabel}) {
+  const [setup, setSetup] = useState(DEFAULT_SETUP);
+  const [party, setParty] = useState(null);
+  const [sentence, setSentence] = useState("");
+  const inputRef = useRef(null);
+  const [lastTurn, setLastTurn] = useState(null); // result shown until the next player takes over
+  const [isScoring, setIsScoring] = useState(false);
+
+  const start = (config) => {
+    setSetup(config);
+    setParty(createParty(config, deal));
+    setSentence("");
+    setLastTurn(null);
+  };
+
+  if (!party) return <PartySetup initial={setup} onStart={start} />;
+  if (party.finished && !lastTurn) {
+    return <PartyResults party={party} onReplay={() => start(setup)} onNew={() => setParty(null)} />;
+  }
+
+  const submit = async () => {
+    setIsScoring(true);
+    try {
+      const player = activePlayer(party);
+      const r = await score(sentence, party.draw, player);
+      setLastTurn({player, r, sentence, draw: party.draw});
+      setParty(submitTurn(party, {sentence, r}, deal));
+      setSentence("");
+    } finally {
+      setIsScoring(false);
+    }
+  };
+
+  const roundTurns = turnsInRound(party, party.round);
+
+  return (
+    <section className="grid md:grid-cols-2 gap-4">
+      {lastTurn ? (
+        <Card title={`${lastTurn.player}: ${lastTurn.r.score} / ${lastTurn.r.max}`}>
+          {lastTurn.r.notes.length > 0 && (
+            <ul className="list-disc ml-5 text-sm text-slate-700 space-y-1">
+              {lastTurn.r.notes.map((n, i) => <li key={i}>{n}</li>)}
+            </ul>
+          )}
+          <SpecialHighlights sentence={lastTurn.sentence} r={lastTurn.r} />
+          {correctionOf(lastTurn.r) && (
+            <div className="mt-2 pt-2 border-t text-sm">
+              <span className="font-medium text-slate-600">Suggested correction:</span>
+              <CorrectionDiff sentence={lastTurn.sentence} corrected={correctionOf(lastTurn.r)} draw={lastTurn.draw} />
+            </div>
+          )}
+          <button onClick={() => setLastTurn(null)} className={`${button} bg-indigo-600 mt-4`}>
+            {party.finished ? "See final results" : `Pass to ${activePlayer(party)} →`}
+          </button>
+        </Card>
+      ) : (
+        <Card title={`Round ${party.round}/${party.config.rounds} — ${activePlayer(party)}'s turn`}>
+          <ul className="space-y-2">
+            <Li label="Sujeto" value={party.draw.subject} />
+            <Li label="Verbo" value={party.draw.verb} />
+            <Li label="Tiempo" value={party.draw.tense} />
+            <Li label="Señal de tiempo" value={party.draw.timeCue} />
+            <Li label={party.draw.specials ? "Especiales" : "Especial"} value={party.draw.special} />
+          </ul>
+          <div className="mt-3">
+            <AccentBar inputRef={inputRef} value={sentence} onChange={setSentence} />
+          </div>
+          <textarea
+            ref={inputRef}
+            className="w-full h-28 p-3 border rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-400 bg-white"
+            placeholder="Escribe tu oración aquí…"
+            value={sentence}
+            onChange={e => setSentence(e.target.value)}
+          />
+          <button onClick={submit} disabled={isScoring || !sentence.trim()} className={`${button} bg-emerald-600 mt-2`}>
+            {isScoring ? "Scoring..." : "Score turn"}
+          </button>
+          <p className="mt-2 text-xs text-slate-500">Scoring with {scorerLabel}.</p>
+        </Card>
+      )}
+
+      <Card title="Leaderboard">
+        <Leaderboard party={party} />
+        <TurnLog turns={roundTurns} showSentences={party.config.revealSentences} />
+        <button onClick={() => setParty(null)} className="mt-4 text-xs text-slate-500 underline">Abandon party</button>
+      </Card>
+    </section>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from "react";
+import { Card } from "./Card.jsx";
+import { SOURCE_LABELS, sourceOf } from "../historyStore.js";
+import { dailyTrend, groupAverages, specialAverages, streaks, tenseCueHeatmap } from "../stats.js";
+
+const pct = (x) => `${Math.round(x * 100)}%`;
+
+// Red (0%) → amber → green (100%)
+function scoreColor(avg, alpha = 1) {
+  return `hsla(${Math.round(avg * 120)}, 70%, 45%, ${alpha})`;
+}
+
+function Bars({title, groups}) {
+  return (
+    <div>
+      <h3 className="text-sm font-semibold mb-2">{title}</h3>
+      <ul className="space-y-1">
+        {groups.map(g => (
+          <li key={g.key} className="text-xs">
+            <div className="flex justify-between text-slate-700">
+              <span className="truncate">{g.label}</span>
+              <span className="tabular-nums">{pct(g.avg)} · {g.n}</span>
+            </div>
+            <div className="h-1.5 rounded bg-slate-100">
+              <div className="h-1.5 rounded" style={{width: pct(g.avg), background: scoreColor(g.avg)}} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function Trend({points}) {
+  if (points.length < 2) return <p className="text-xs text-slate-500">Practice on at least two days to see a trend.</p>;
+  const w = 320, h = 80, pad = 4;
+  const x = (i) => pad + (i * (w - 2 * pad)) / (points.length - 1);
+  const y = (avg) => h - pad - avg * (h - 2 * pad);
+  const path = points.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.avg).toFixed(1)}`).join(" ");
+  return (
+    <svg viewBox={`0 0 ${w} ${h}`} className="w-full h-20" role="img" aria-label="Average score per day">
+      <line x1={pad} x2={w - pad} y1={y(0.8)} y2={y(0.8)} stroke="#cbd5e1" strokeDasharray="4 3" />
+      <path d={path} fill="none" stroke="#4f46e5" strokeWidth="2" />
+      {points.map((p, i) => (
+        <circle key={p.key} cx={x(i)} cy={y(p.avg)} r="3" fill={scoreColor(p.avg)}>
+          <title>{`${p.key}: ${pct(p.avg)} over ${p.n} attempt${p.n === 1 ? "" : "s"}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function Heatmap({map}) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-separate" style={{borderSpacing: 2}}>
+        <thead>
+          <tr>
+            <th />
+            {map.cols.map(c => (
+              <th key={c.key} className="font-normal text-slate-600 px-1 align-bottom whitespace-nowrap">{c.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {map.rows.map(r => (
+            <tr key={r.key}>
+              <th className="font-normal text-slate-600 text-left pr-2 whitespace-nowrap">{r.label}</th>
+              {map.cols.map(c => {
+                const cell = map.cell(r.key, c.key);
+                return (
+                  <td
+                    key={c.key}
+                    className="w-8 h-6 text-center rounded tabular-nums"
+                    style={{background: cell ? scoreColor(cell.avg, 0.25 + 0.75 * Math.min(1, cell.n / 5)) : "#f1f5f9"}}
+                    title={cell ? `${r.label} + ${c.label}: ${pct(cell.avg)} over ${cell.n}` : "No attempts"}
+                  >
+                    {cell ? Math.round(cell.avg * 100) : ""}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Offline progress view built entirely from the local attempt history
+export function StatsDashboard({history}) {
+  const [source, setSource] = useState("");
+
+  const sources = useMemo(() => [...new Set(history.map(sourceOf))], [history]);
+  const filtered = useMemo(() => source ? history.filter(h => sourceOf(h) === source) : history, [history, source]);
+
+  const stats = useMemo(() => ({
+    tense: groupAverages(filtered, h => h.draw.tenseKey, h => h.draw.tense),
+    verb: groupAverages(filtered, h => h.draw.verb),
+    special: specialAverages(filtered),
+    subject: groupAverages(filtered, h => h.draw.subject),
+    trend: dailyTrend(filtered),
+    streaks: streaks(filtered),
+    heatmap: tenseCueHeatmap(filtered),
+  }), [filtered]);
+
+  const overall = filtered.length ? groupAverages(filtered, () => "all")[0].avg : 0;
+
+  return (
+    <Card title="Progress">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <label className="text-sm">Scoring source</label>
+        <select className="border rounded-lg px-2 py-1 bg-white text-sm" value={source} onChange={e => setSource(e.target.value)}>
+          <option value="">All sources</option>
+          {sources.map(s => <option key={s} value={s}>{SOURCE_LABELS[s] || s}</option>)}
+        </select>
+        {!source && sources.length > 1 && (
+          <span className="text-xs text-amber-700">Mixing {sources.length} scoring sources — heuristic and AI scores are blended.</span>
+        )}
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="text-sm text-slate-600">No attempts to analyse yet.</p>
+      ) : (
+        <div className="space-y-5">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-center">
+            {[
+              ["Attempts", filtered.length],
+              ["Average", pct(overall)],
+              ["Day streak", `${stats.streaks.currentDays} (best ${stats.streaks.longestDays})`],
+              ["High-score run", `${stats.streaks.currentHigh} (best ${stats.streaks.bestHigh})`],
+              ["Practice days", stats.trend.length],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-xl border p-2">
+                <div className="text-xs text-slate-500">{label}</div>
+                <div className="font-semibold">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold mb-1">Average score per day</h3>
+            <Trend points={stats.trend} />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-5">
+            <Bars title="By tense" groups={stats.tense} />
+            <Bars title="By subject" groups={stats.subject} />
+            <Bars title="By verb" groups={stats.verb} />
+            <Bars title="By special" groups={stats.special} />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold mb-1">Tense × time cue (average %)</h3>
+            <Heatmap map={stats.heatmap} />
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
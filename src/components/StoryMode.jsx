@@ -0,0 +1,193 @@
+import React, { useRef, useState } from "react";
+import { Card } from "./Card.jsx";
+import { AccentBar } from "./AccentBar.jsx";
+import { SpecialHighlights } from "./Highlight.jsx";
+import { correctionOf } from "../diff.js";
+import { DEFAULT_STORY_LENGTH, STORY_LENGTHS, dealStory, moveItem, storyTotals, timeOrderBreaks } from "../story.js";
+
+const button = "px-3 py-2 rounded-xl shadow text-white hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed";
+const small = "px-2 py-0.5 rounded-lg border bg-white text-xs hover:bg-slate-50 disabled:opacity-40";
+
+function StorySetup({length, onChange, onStart}) {
+  return (
+    <Card title="📖 Story mode">
+      <p className="text-sm text-slate-600 mb-4">
+        Several draws are dealt at once. Write one sentence for each and they become a paragraph; put the cards in the
+        order your story happens. Every sentence is scored against its own draw, and the story as a whole for coherence:
+        a sensible time order (ayer before mañana), subjects that stay consistent and sentences that link up.
+      </p>
+      <label className="flex items-center gap-3 text-sm">
+        Sentences
+        <select className="border rounded-lg px-2 py-1 bg-white" value={length} onChange={e => onChange(Number(e.target.value))}>
+          {STORY_LENGTHS.map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+      </label>
+      <button onClick={onStart} className={`${button} bg-indigo-600 mt-4`}>Deal story</button>
+    </Card>
+  );
+}
+
+function Notes({r}) {
+  if (!r.notes.length) return null;
+  return (
+    <ul className="list-disc ml-5 mt-1 text-sm text-slate-700 space-y-1">
+      {r.notes.filter(Boolean).map((n, i) => <li key={i}>{n}</li>)}
+    </ul>
+  );
+}
+
+function StoryResults({lines, results, coherence, onAgain, onSetup}) {
+  const total = storyTotals(results, coherence);
+  return (
+    <Card title={`📖 Story: ${total.score} / ${total.max}`}>
+      <p className="p-3 rounded-xl bg-slate-50 border leading-relaxed">{lines.map(l => l.sentence).join(" ")}</p>
+      <h3 className="text-sm font-semibold mt-4">Coherence: {coherence.score} / {coherence.max}</h3>
+      <Notes r={coherence} />
+      <ol className="mt-4 space-y-3">
+        {lines.map((line, i) => (
+          <li key={line.id} className="border-t pt-2">
+            <p className="text-sm">
+              <span className="text-slate-400 tabular-nums">{i + 1}.</span> {line.sentence}
+              <span className="float-right tabular-nums font-medium">{results[i].score} / {results[i].max}</span>
+            </p>
+            <p className="text-xs text-slate-500">{line.draw.subject} · {line.draw.verb} · {line.draw.tense} · {line.draw.timeCue} · {line.draw.special}</p>
+            <Notes r={results[i]} />
+            <SpecialHighlights sentence={line.sentence} r={results[i]} />
+            {correctionOf(results[i]) && <p className="text-xs text-emerald-700 mt-1">→ {correctionOf(results[i])}</p>}
+          </li>
+        ))}
+      </ol>
+      <div className="flex gap-2 mt-4">
+        <button onClick={onAgain} className={`${button} bg-indigo-600`}>New story</button>
+        <button onClick={onSetup} className={`${button} bg-slate-800`}>Change length</button>
+      </div>
+    </Card>
+  );
+}
+
+/**
+ * Story play. `deal()` returns a fresh draw; `score(sentence, draw, extra, run)` scores one
+ * sentence (recording it in history with `extra`) and `scoreStory(entries, run)` the
+ * coherence of the whole, both with the selected scorer; either resolves to null when
+ * cancelled through `run.signal`. A cancelled story calls `onCancel(storyId)`, since the
+ * sentences scored so far are already in history.
+ */
+export function StoryMode({deal, score, scoreStory, onCancel, scorerLabel}) {
+  const [length, setLength] = useState(DEFAULT_STORY_LENGTH);
+  const [phase, setPhase] = useState("setup"); // "setup" | "writing" | "done"
+  const [storyId, setStoryId] = useState(null);
+  const [lines, setLines] = useState([]); // [{id, draw, sentence}] in story order
+  const [active, setActive] = useState(0); // line the accent bar types into
+  const [progress, setProgress] = useState(null); // "Scoring sentence 2 of 4…" while scoring
+  const [scored, setScored] = useState(null); // {results, coherence} once done
+  const inputs = useRef([]);
+  const scoringAbort = useRef(null);
+
+  const start = () => {
+    setStoryId(Date.now().toString(36));
+    setLines(dealStory(deal, length).map((draw, id) => ({id, draw, sentence: ""})));
+    setActive(0);
+    setScored(null);
+    setPhase("writing");
+  };
+
+  const write = (index, sentence) => setLines(list => list.map((l, i) => (i === index ? {...l, sentence} : l)));
+  const move = (index, to) => {
+    setLines(list => moveItem(list, index, to));
+    setActive(to);
+  };
+
+  // Sentences one at a time (a local model handles one request at a time anyway), then the whole story
+  const submit = async () => {
+    const controller = new AbortController();
+    scoringAbort.current = controller;
+    const run = {signal: controller.signal};
+    const entries = lines.map(l => ({sentence: l.sentence.trim(), draw: l.draw}));
+    const cancelled = (results) => {
+      if (results.length) onCancel(storyId);
+    };
+    try {
+      const results = [];
+      for (const [i, {sentence, draw}] of entries.entries()) {
+        setProgress(`Scoring sentence ${i + 1} of ${entries.length}…`);
+        const r = await score(sentence, draw, {story: storyId, storyIndex: i}, run);
+        if (!r) return cancelled(results);
+        results.push(r);
+      }
+      setProgress("Scoring the story as a whole…");
+      const coherence = await scoreStory(entries, run);
+      if (!coherence) return cancelled(results);
+      setLines(list => list.map((l, i) => ({...l, sentence: entries[i].sentence})));
+      setScored({results, coherence});
+      setPhase("done");
+    } finally {
+      scoringAbort.current = null;
+      setProgress(null);
+    }
+  };
+
+  if (phase === "setup") return <StorySetup length={length} onChange={setLength} onStart={start} />;
+  if (phase === "done") {
+    return <StoryResults lines={lines} results={scored.results} coherence={scored.coherence} onAgain={start} onSetup={() => setPhase("setup")} />;
+  }
+
+  const ready = lines.every(l => l.sentence.trim());
+  const breaks = timeOrderBreaks(lines.filter(l => l.sentence.trim()));
+  // Looked up when the accent bar inserts, not now: right after dealing the textareas aren't mounted yet
+  const activeRef = {get current() { return inputs.current[active]; }};
+
+  return (
+    <section className="grid md:grid-cols-2 gap-4">
+      <Card title="📖 Your story">
+        <AccentBar inputRef={activeRef} value={lines[active].sentence} onChange={s => write(active, s)} />
+        <ol className="space-y-3">
+          {lines.map((line, i) => (
+            <li key={line.id}>
+              <div className="flex items-center gap-2 text-xs text-slate-600">
+                <span className="font-semibold text-slate-800 tabular-nums">{i + 1}.</span>
+                <span className="flex-1">
+                  <b>{line.draw.subject}</b> · {line.draw.verb} · {line.draw.tense} · <b>{line.draw.timeCue}</b> · {line.draw.special}
+                </span>
+                <button onClick={() => move(i, i - 1)} disabled={i === 0 || Boolean(progress)} aria-label={`Move card ${i + 1} up`} className={small}>↑</button>
+                <button onClick={() => move(i, i + 1)} disabled={i === lines.length - 1 || Boolean(progress)} aria-label={`Move card ${i + 1} down`} className={small}>↓</button>
+              </div>
+              <textarea
+                ref={el => { inputs.current[i] = el; }}
+                aria-label={`Sentence ${i + 1}`}
+                rows={2}
+                className="w-full mt-1 p-2 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-400 bg-white"
+                placeholder="Escribe la oración para esta tarjeta…"
+                value={line.sentence}
+                onFocus={() => setActive(i)}
+                onChange={e => write(i, e.target.value)}
+                readOnly={Boolean(progress)}
+              />
+            </li>
+          ))}
+        </ol>
+        <div className="flex items-center gap-2 mt-2">
+          <button
+            onClick={progress ? () => scoringAbort.current?.abort() : submit}
+            disabled={!progress && !ready}
+            className={`${button} ${progress ? "bg-rose-600" : "bg-emerald-600"}`}
+          >
+            {progress ? "Cancel" : "Score story"}
+          </button>
+          <button onClick={() => setPhase("setup")} disabled={Boolean(progress)} className="text-xs text-slate-500 underline">Abandon story</button>
+        </div>
+        <p className="mt-2 text-xs text-slate-500">{progress || `Scoring with ${scorerLabel}.`}</p>
+      </Card>
+
+      <Card title="Paragraph">
+        {lines.some(l => l.sentence.trim())
+          ? <p className="leading-relaxed">{lines.map(l => l.sentence.trim()).filter(Boolean).join(" ")}</p>
+          : <p className="text-sm text-slate-500">Your sentences appear here as one paragraph as you write.</p>}
+        {breaks.map(({from, to}) => (
+          <p key={`${from.index}-${to.index}`} className="mt-2 text-xs px-2 py-1 rounded-lg bg-amber-50 text-amber-800">
+            ⏪ “{to.cue}” comes after “{from.cue}”: move a card, or make the flashback clear.
+          </p>
+        ))}
+      </Card>
+    </section>
+  );
+}
@@ -0,0 +1,241 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Card, Li } from "./Card.jsx";
+import { AccentBar } from "./AccentBar.jsx";
+import { heuristicMax } from "../heuristic.js";
+import { DRAW_SECONDS, SESSION_MINUTES, formatClock, scoreRun, streakMultiplier } from "../timed.js";
+
+const button = "px-3 py-2 rounded-xl shadow text-white hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed";
+
+function TimedSetup({settings, onChange, onStart, aiLabel}) {
+  return (
+    <Card title="⏱️ Timed challenge">
+      <p className="text-sm text-slate-600 mb-4">
+        As many draws as you can before the session clock runs out. Each draw has its own countdown and is scored
+        automatically when it hits zero. Consecutive high scores (80%+) build a streak multiplier up to 3×.
+      </p>
+      <div className="space-y-3 text-sm">
+        <label className="flex items-center gap-3">
+          <span className="w-32">Per draw</span>
+          <input
+            type="range"
+            min={DRAW_SECONDS.min}
+            max={DRAW_SECONDS.max}
+            step={DRAW_SECONDS.step}
+            value={settings.drawSeconds}
+            onChange={e => onChange({...settings, drawSeconds: Number(e.target.value)})}
+            className="flex-1"
+          />
+          <span className="w-12 tabular-nums text-right">{settings.drawSeconds}s</span>
+        </label>
+        <label className="flex items-center gap-3">
+          <span className="w-32">Session length</span>
+          <select
+            className="border rounded-lg px-2 py-1 bg-white"
+            value={settings.sessionMinutes}
+            onChange={e => onChange({...settings, sessionMinutes: Number(e.target.value)})}
+          >
+            {SESSION_MINUTES.map(m => <option key={m} value={m}>{m} min</option>)}
+          </select>
+        </label>
+        {aiLabel && (
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={settings.instant} onChange={e => onChange({...settings, instant: e.target.checked})} />
+            Instant heuristic scoring (otherwise {aiLabel} scores in the background while you keep playing)
+          </label>
+        )}
+      </div>
+      <button onClick={onStart} className={`${button} bg-indigo-600 mt-4`}>Start</button>
+    </Card>
+  );
+}
+
+function TimedSummary({run, onAgain, onSetup}) {
+  return (
+    <Card title="⏱️ Time's up!">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-center mb-4">
+        {[
+          ["Points", run.total],
+          ["Draws", run.attempts.length],
+          ["Average", `${Math.round(run.average * 100)}%`],
+          ["Best streak", run.bestStreak],
+        ].map(([label, value]) => (
+          <div key={label} className="rounded-xl border p-2">
+            <div className="text-xs text-slate-500">{label}</div>
+            <div className="text-xl font-semibold">{value}</div>
+          </div>
+        ))}
+      </div>
+      {run.pending > 0 && <p className="text-sm text-amber-700 mb-2">Still scoring {run.pending} attempt{run.pending === 1 ? "" : "s"} in the background…</p>}
+      <AttemptList attempts={run.attempts} />
+      <div className="flex gap-2 mt-4">
+        <button onClick={onAgain} className={`${button} bg-indigo-600`}>Play again</button>
+        <button onClick={onSetup} className={`${button} bg-slate-800`}>Change settings</button>
+      </div>
+    </Card>
+  );
+}
+
+function AttemptList({attempts}) {
+  if (!attempts.length) return <p className="text-sm text-slate-500">No draws yet.</p>;
+  return (
+    <ol className="space-y-1 text-sm">
+      {[...attempts].reverse().map(a => (
+        <li key={a.id} className="flex gap-2 border-t pt-1">
+          <span className="text-slate-400 tabular-nums w-6">{a.id + 1}.</span>
+          <span className="flex-1">
+            {a.sentence || <i className="text-slate-400">(nothing typed)</i>}
+            <span className="block text-xs text-slate-500">{a.draw.subject} · {a.draw.verb} · {a.draw.tense}{a.timedOut ? " · ⌛ timed out" : ""}</span>
+          </span>
+          <span className="tabular-nums text-right whitespace-nowrap">
+            {a.pending ? "scoring…" : <>{a.r.score}/{a.r.max} → <b>{a.points}</b>{a.multiplier > 1 && <span className="text-indigo-600"> ×{a.multiplier}</span>}</>}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * Countdown play. `deal()` returns a fresh draw; `scoreInstant` / `scoreSelected`
+ * (sentence, draw) resolve to results and record them in history. `aiLabel` is the
+ * selected AI mode's label, or null when the selected mode is already the heuristic one.
+ */
+export function TimedMode({deal, scoreInstant, scoreSelected, aiLabel}) {
+  const [settings, setSettings] = useState({drawSeconds: DRAW_SECONDS.default, sessionMinutes: 5, instant: true});
+  const [phase, setPhase] = useState("setup"); // "setup" | "running" | "summary"
+  const [draw, setDraw] = useState(null);
+  const [sentence, setSentence] = useState("");
+  const [attempts, setAttempts] = useState([]);
+  const [sessionEnd, setSessionEnd] = useState(0);
+  const [drawEnd, setDrawEnd] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const nextId = useRef(0);
+  const inputRef = useRef(null);
+
+  const start = () => {
+    const t = Date.now();
+    nextId.current = 0;
+    setAttempts([]);
+    setDraw(deal());
+    setSentence("");
+    setSessionEnd(t + settings.sessionMinutes * 60 * 1000);
+    setDrawEnd(t + settings.drawSeconds * 1000);
+    setNow(t);
+    setPhase("running");
+  };
+
+  // Record the current draw and score it without waiting for the result
+  const submit = (timedOut) => {
+    const id = nextId.current++;
+    const text = sentence.trim();
+    setAttempts(list => [...list, {id, draw, sentence: text, timedOut}]);
+    const settle = (r) => setAttempts(list => list.map(a => (a.id === id ? {...a, r} : a)));
+    if (!text) {
+      settle({score: 0, max: heuristicMax(draw), notes: ["Se acabó el tiempo sin oración."], source: "offline"});
+    } else {
+      // The AI scorer falls back to the heuristic on its own; this covers anything that still rejects
+      const scoring = settings.instant || !aiLabel ? scoreInstant(text, draw) : scoreSelected(text, draw).catch(() => scoreInstant(text, draw));
+      scoring.then(settle).catch(error => {
+        console.error("Timed scoring failed:", error);
+        settle({score: 0, max: heuristicMax(draw), notes: ["No se pudo puntuar esta oración."], source: "offline"});
+      });
+    }
+  };
+
+  const nextDraw = () => {
+    setDraw(deal());
+    setSentence("");
+    setDrawEnd(Date.now() + settings.drawSeconds * 1000);
+    inputRef.current?.focus();
+  };
+
+  // Ending the session, by the clock or early: a sentence typed but not sent is still scored
+  const endSession = (timedOut) => {
+    if (sentence.trim()) submit(timedOut);
+    setPhase("summary");
+  };
+
+  // Clocks: the session ending wins over the draw ending on the same tick. The interval calls the
+  // latest render's check through a ref, so it sees the current sentence and deadlines
+  const checkClocks = useRef(null);
+  checkClocks.current = (t) => {
+    if (t >= sessionEnd) {
+      endSession(true);
+    } else if (t >= drawEnd) {
+      submit(true);
+      nextDraw();
+    }
+  };
+
+  useEffect(() => {
+    if (phase !== "running") return undefined;
+    const timer = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      checkClocks.current(t);
+    }, 250);
+    return () => clearInterval(timer);
+  }, [phase]);
+
+  const run = scoreRun(attempts);
+
+  if (phase === "setup") {
+    return <TimedSetup settings={settings} onChange={setSettings} onStart={start} aiLabel={aiLabel} />;
+  }
+  if (phase === "summary") {
+    return <TimedSummary run={run} onAgain={start} onSetup={() => setPhase("setup")} />;
+  }
+
+  const drawLeft = drawEnd - now;
+  const drawShare = Math.max(0, drawLeft / (settings.drawSeconds * 1000));
+
+  return (
+    <section className="grid md:grid-cols-2 gap-4">
+      <Card title={`⏱️ ${formatClock(sessionEnd - now)} left`}>
+        <div className="h-2 rounded bg-slate-100 mb-3" aria-hidden="true">
+          <div
+            className={`h-2 rounded ${drawShare < 0.25 ? "bg-red-500" : "bg-indigo-500"}`}
+            style={{width: `${drawShare * 100}%`}}
+          />
+        </div>
+        <p className="text-sm text-slate-600 mb-2">This draw: <b className="tabular-nums">{formatClock(drawLeft)}</b></p>
+        <ul className="space-y-2">
+          <Li label="Sujeto" value={draw.subject} />
+          <Li label="Verbo" value={draw.verb} />
+          <Li label="Tiempo" value={draw.tense} />
+          <Li label="Señal de tiempo" value={draw.timeCue} />
+          <Li label={draw.specials ? "Especiales" : "Especial"} value={draw.special} />
+        </ul>
+        <div className="mt-3">
+          <AccentBar inputRef={inputRef} value={sentence} onChange={setSentence} />
+        </div>
+        <textarea
+          ref={inputRef}
+          autoFocus
+          className="w-full h-24 p-3 border rounded-2xl focus:outline-none focus:ring-2 focus:ring-indigo-400 bg-white"
+          placeholder="Escribe y pulsa Enter…"
+          value={sentence}
+          onChange={e => setSentence(e.target.value)}
+          onKeyDown={e => {
+            if (e.key === "Enter" && !e.shiftKey) {
+              e.preventDefault();
+              if (sentence.trim()) { submit(false); nextDraw(); }
+            }
+          }}
+        />
+        <div className="flex gap-2 mt-2">
+          <button onClick={() => { submit(false); nextDraw(); }} disabled={!sentence.trim()} className={`${button} bg-emerald-600`}>Submit ⏎</button>
+          <button onClick={() => endSession(false)} className={`${button} bg-slate-800`}>End now</button>
+        </div>
+      </Card>
+
+      <Card title={`Points: ${run.total}`}>
+        <p className="text-sm text-slate-600 mb-2">
+          Streak: <b>{run.streak}</b>{run.streak > 0 && <> · next high score ×{streakMultiplier(run.streak)}</>}
+          {run.pending > 0 && <> · {run.pending} scoring in background</>}
+        </p>
+        <AttemptList attempts={run.attempts} />
+      </Card>
+    </section>
+  );
+}
@@ -0,0 +1,225 @@
+/*
+ Conjugation engine
+ --------------------------------------------------
+ Generates the expected form of a deck verb for a subject and tense key, so the
+ local scorer can check the drawn verb instead of guessing from loose endings.
+
+ Forms are stored per person in the order of PERSONS:
+   yo · tú · él/ella/usted · nosotros · vosotros · ellos/ellas/ustedes
+ Voseo "vos" is the tú person with its own present (vos tenés, vos sos); every
+ other tense uses the tú form.
+*/
+
+// ---------------------- Persons ----------------------
+export const PERSONS = ["yo","tú","él","nosotros","vosotros","ellos"];
+
+const SUBJECT_PERSON = {
+  yo:0, tú:1, vos:1, él:2, ella:2, usted:2, nosotros:3, nosotras:3, vosotros:4, vosotras:4, ustedes:5, ellos:5, ellas:5,
+};
+
+// Subjects with a form of their own: the six persons plus voseo
+export const FORM_SUBJECTS = [...PERSONS, "vos"];
+
+export function personIndex(subject) {
+  const idx = SUBJECT_PERSON[String(subject).toLowerCase()];
+  return idx === undefined ? -1 : idx;
+}
+
+// Every subject pronoun the engine knows, and the ones sharing a person (él · ella · usted)
+export const SUBJECT_PRONOUNS = Object.keys(SUBJECT_PERSON);
+
+export function subjectsOfPerson(p) {
+  return SUBJECT_PRONOUNS.filter(s => SUBJECT_PERSON[s] === p);
+}
+
+// Drawn cards show irregulars with a ★ (see verbLabel in deck.js); the engine works on the bare infinitive
+export function baseInfinitive(verb) {
+  return String(verb).replace(/★/g, "").trim().toLowerCase();
+}
+
+function verbClass(inf) {
+  return inf.slice(-2); // "ar" | "er" | "ir"
+}
+
+// ---------------------- Regular paradigms ----------------------
+const PRESENT_ENDINGS = {
+  ar: ["o","as","a","amos","áis","an"],
+  er: ["o","es","e","emos","éis","en"],
+  ir: ["o","es","e","imos","ís","en"],
+};
+
+const PRETERITE_ENDINGS = {
+  ar: ["é","aste","ó","amos","asteis","aron"],
+  er: ["í","iste","ió","imos","isteis","ieron"],
+  ir: ["í","iste","ió","imos","isteis","ieron"],
+};
+
+const IMPERFECT_ENDINGS = {
+  ar: ["aba","abas","aba","ábamos","abais","aban"],
+  er: ["ía","ías","ía","íamos","íais","ían"],
+  ir: ["ía","ías","ía","íamos","íais","ían"],
+};
+
+// Present subjunctive swaps the vowel: -ar takes -e endings, -er/-ir take -a endings
+const SUBJUNCTIVE_ENDINGS = {
+  ar: ["e","es","e","emos","éis","en"],
+  er: ["a","as","a","amos","áis","an"],
+  ir: ["a","as","a","amos","áis","an"],
+};
+
+// Future and conditional endings attach to the whole infinitive (or an irregular stem)
+const FUTURE_ENDINGS = ["é","ás","á","emos","éis","án"];
+const CONDITIONAL_ENDINGS = ["ía","ías","ía","íamos","íais","ían"];
+
+const HABER_PRESENT = ["he","has","ha","hemos","habéis","han"];
+
+// Voseo present: the infinitive's vowel stressed, no stem change (querés, podés, tenés)
+const VOSEO_ENDINGS = {ar: "ás", er: "és", ir: "ís"};
+const VOSEO_PRESENT = {ser: "sos", ir: "vas", haber: "has", dar: "das", ver: "ves"};
+
+function voseoPresent(inf) {
+  return VOSEO_PRESENT[inf] || inf.slice(0, -2) + VOSEO_ENDINGS[verbClass(inf)];
+}
+
+// ---------------------- Irregulars ----------------------
+// Only the tenses that deviate are listed; anything missing falls back to the regular rules.
+// The subjunctive of -go verbs (tengo → tenga) is derived from the yo present, so only
+// stem-changing or fully irregular subjunctives are spelled out.
+const IRREGULARS = {
+  tener: {
+    presente: ["tengo","tienes","tiene","tenemos","tenéis","tienen"],
+    preterito: ["tuve","tuviste","tuvo","tuvimos","tuvisteis","tuvieron"],
+    futureStem: "tendr",
+  },
+  venir: {
+    presente: ["vengo","vienes","viene","venimos","venís","vienen"],
+    preterito: ["vine","viniste","vino","vinimos","vinisteis","vinieron"],
+    futureStem: "vendr",
+  },
+  poder: {
+    presente: ["puedo","puedes","puede","podemos","podéis","pueden"],
+    preterito: ["pude","pudiste","pudo","pudimos","pudisteis","pudieron"],
+    subjuntivo: ["pueda","puedas","pueda","podamos","podáis","puedan"],
+    futureStem: "podr",
+  },
+  poner: {
+    presente: ["pongo","pones","pone","ponemos","ponéis","ponen"],
+    preterito: ["puse","pusiste","puso","pusimos","pusisteis","pusieron"],
+    futureStem: "pondr",
+    participle: "puesto",
+  },
+  hacer: {
+    presente: ["hago","haces","hace","hacemos","hacéis","hacen"],
+    preterito: ["hice","hiciste","hizo","hicimos","hicisteis","hicieron"],
+    futureStem: "har",
+    participle: "hecho",
+  },
+  decir: {
+    presente: ["digo","dices","dice","decimos","decís","dicen"],
+    preterito: ["dije","dijiste","dijo","dijimos","dijisteis","dijeron"],
+    futureStem: "dir",
+    participle: "dicho",
+  },
+  ir: {
+    presente: ["voy","vas","va","vamos","vais","van"],
+    preterito: ["fui","fuiste","fue","fuimos","fuisteis","fueron"],
+    imperfecto: ["iba","ibas","iba","íbamos","ibais","iban"],
+    subjuntivo: ["vaya","vayas","vaya","vayamos","vayáis","vayan"],
+  },
+  ser: {
+    presente: ["soy","eres","es","somos","sois","son"],
+    preterito: ["fui","fuiste","fue","fuimos","fuisteis","fueron"],
+    imperfecto: ["era","eras","era","éramos","erais","eran"],
+    subjuntivo: ["sea","seas","sea","seamos","seáis","sean"],
+  },
+  estar: {
+    presente: ["estoy","estás","está","estamos","estáis","están"],
+    preterito: ["estuve","estuviste","estuvo","estuvimos","estuvisteis","estuvieron"],
+    subjuntivo: ["esté","estés","esté","estemos","estéis","estén"],
+  },
+  leer: {
+    preterito: ["leí","leíste","leyó","leímos","leísteis","leyeron"],
+    participle: "leído",
+  },
+  escribir: { participle: "escrito" },
+  abrir: { participle: "abierto" },
+};
+
+// ---------------------- Builders ----------------------
+function regularPresent(inf, p) {
+  return inf.slice(0, -2) + PRESENT_ENDINGS[verbClass(inf)][p];
+}
+
+function regularPreterite(inf, p) {
+  return inf.slice(0, -2) + PRETERITE_ENDINGS[verbClass(inf)][p];
+}
+
+function presentForm(inf, p, irr) {
+  return irr.presente ? irr.presente[p] : regularPresent(inf, p);
+}
+
+function participle(inf, irr) {
+  return irr.participle || inf.slice(0, -2) + (verbClass(inf) === "ar" ? "ado" : "ido");
+}
+
+const BUILDERS = {
+  presente: presentForm,
+  preterito: (inf, p, irr) => irr.preterito ? irr.preterito[p] : regularPreterite(inf, p),
+  futuro: (inf, p, irr) => (irr.futureStem || inf) + FUTURE_ENDINGS[p],
+  ir_a: (inf, p) => `${IRREGULARS.ir.presente[p]} a ${inf}`,
+  imperfecto: (inf, p, irr) => irr.imperfecto ? irr.imperfecto[p] : inf.slice(0, -2) + IMPERFECT_ENDINGS[verbClass(inf)][p],
+  perfecto: (inf, p, irr) => `${HABER_PRESENT[p]} ${participle(inf, irr)}`,
+  condicional: (inf, p, irr) => (irr.futureStem || inf) + CONDITIONAL_ENDINGS[p],
+  subjuntivo: (inf, p, irr) => irr.subjuntivo
+    ? irr.subjuntivo[p]
+    : presentForm(inf, 0, irr).slice(0, -1) + SUBJUNCTIVE_ENDINGS[verbClass(inf)][p],
+};
+
+export const SUPPORTED_TENSES = Object.keys(BUILDERS);
+
+/** Does the engine know irregular forms for this verb? Unknown verbs are conjugated as regular. */
+export function hasIrregularForms(verb) {
+  return Boolean(IRREGULARS[baseInfinitive(verb)]);
+}
+
+/**
+ * Expected conjugated form of `verb` for `subject` in the tense `tenseKey`.
+ * Returns null when the subject or tense is unknown to the engine.
+ */
+export function conjugate(verb, tenseKey, subject) {
+  const inf = baseInfinitive(verb);
+  const p = personIndex(subject);
+  const build = BUILDERS[tenseKey];
+  if (!build || p < 0 || !/(ar|er|ir)$/.test(inf)) return null;
+  if (tenseKey === "presente" && String(subject).toLowerCase() === "vos") return voseoPresent(inf);
+  return build(inf, p, IRREGULARS[inf] || {});
+}
+
+/** Six-person table for a verb and tense; `persons` may swap tú for vos (see personsFor in dialects.js). */
+export function conjugationTable(verb, tenseKey, persons = PERSONS) {
+  return persons.map(person => ({person, form: conjugate(verb, tenseKey, person)}));
+}
+
+// ---------------------- Matching ----------------------
+const CLITICS = "(?:me|te|se|lo|la|los|las|le|les|nos|os)";
+
+export function escapeRegex(s) {
+  return s.replace(/([.*+?^${}()|[\]\\])/g, "\\$1");
+}
+
+/** Text as typed without accents or ñ: "mañana comerás" → "manana comeras". */
+export function stripAccents(s) {
+  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").normalize("NFC");
+}
+
+/**
+ * Does the sentence contain `form` as a whole word (or phrase)? Periphrastic forms
+ * ending in an infinitive also accept attached clitics ("vas a hacerlo").
+ */
+export function containsForm(sentence, form) {
+  if (!form) return false;
+  const words = form.split(/\s+/).map(escapeRegex);
+  const endsInInfinitive = words.length > 1 && /(ar|er|ir)$/.test(form);
+  const body = words.join("\\s+") + (endsInInfinitive ? `${CLITICS}{0,2}` : "");
+  return new RegExp(`(?<![\\p{L}])${body}(?![\\p{L}])`, "iu").test(sentence.normalize("NFC"));
+}
@@ -0,0 +1,141 @@
+/*
+ Deck
+ --------------------------------------------------
+ The cards a draw is dealt from. Shared by the app, the heuristic scorer
+ and the server-side judge, so keep it free of browser and React APIs.
+*/
+
+// The neutral (Latin American) subjects; other dialects add or swap some (see dialects.js)
+export const SUBJECTS = [
+  "yo","tú","él","ella","usted","nosotros","ustedes","ellos","ellas"
+];
+
+// Verbs (mix of regular + irregulars; every entry is conjugated by src/conjugation.js)
+export const VERBS = [
+  {inf:"hablar"},{inf:"comer"},{inf:"vivir"},{inf:"trabajar"},{inf:"estudiar"},{inf:"leer"},{inf:"escribir"},{inf:"correr"},{inf:"abrir"},{inf:"beber"},{inf:"comprar"},{inf:"vender"},
+  {inf:"venir", irregular:true},{inf:"tener", irregular:true},{inf:"poder", irregular:true},{inf:"poner", irregular:true},{inf:"hacer", irregular:true},{inf:"decir", irregular:true},{inf:"ir", irregular:true},{inf:"ser", irregular:true},{inf:"estar", irregular:true}
+];
+
+// How a verb appears on a drawn card: irregulars keep the ★ players (and history) know them by
+export function verbLabel(verb) {
+  return verb.irregular ? `${verb.inf}★` : verb.inf;
+}
+
+// Tenses — `level` is the easiest difficulty that can deal it
+export const TENSES = [
+  {name:"Presente", key:"presente", level:"easy"},
+  {name:"Pretérito", key:"preterito", level:"easy"},
+  {name:"Futuro (simple)", key:"futuro", level:"easy"},
+  {name:"Ir a + infinitivo", key:"ir_a", level:"easy"},
+  {name:"Imperfecto", key:"imperfecto", level:"standard"},
+  {name:"Pretérito perfecto (compuesto)", key:"perfecto", level:"standard"},
+  {name:"Condicional (simple)", key:"condicional", level:"standard"},
+  {name:"Presente de subjuntivo", key:"subjuntivo", level:"wild"},
+];
+
+export const DIFFICULTY_LEVELS = ["easy","standard","wild"];
+
+// Tenses a difficulty may deal: its own level and every easier one
+export function tensesFor(difficulty) {
+  const rank = DIFFICULTY_LEVELS.indexOf(difficulty);
+  const max = rank < 0 ? DIFFICULTY_LEVELS.indexOf("standard") : rank;
+  return TENSES.filter(t => DIFFICULTY_LEVELS.indexOf(t.level) <= max);
+}
+
+// Time cues tagged by compatibility (which tense(s) they naturally go with)
+export const TIME_CUES = [
+  {text:"hoy", allow:["presente","preterito","perfecto"], weight:2},
+  {text:"ahora", allow:["presente"], weight:2},
+  {text:"siempre", allow:["presente","imperfecto"], weight:1},
+  {text:"a veces", allow:["presente","imperfecto"], weight:1},
+  {text:"ayer", allow:["preterito"], weight:2},
+  {text:"anoche", allow:["preterito"], weight:1},
+  {text:"el lunes pasado", allow:["preterito"], weight:1},
+  {text:"el año pasado", allow:["preterito"], weight:1},
+  {text:"hace ___ días", allow:["preterito"], weight:1},
+  {text:"de repente", allow:["preterito"], weight:1},
+  {text:"ya", allow:["preterito","presente","perfecto"], weight:1},
+  {text:"todavía no", allow:["presente","perfecto"], weight:1},
+  {text:"mañana", allow:["futuro","ir_a"], weight:2},
+  {text:"pasado mañana", allow:["futuro","ir_a"], weight:1},
+  {text:"esta noche", allow:["futuro","ir_a","presente"], weight:1},
+  {text:"el viernes que viene", allow:["futuro","ir_a"], weight:1},
+  {text:"la semana que viene", allow:["futuro","ir_a"], weight:1},
+  {text:"dentro de ___ meses", allow:["futuro","ir_a"], weight:1},
+  {text:"pronto", allow:["futuro","ir_a"], weight:1},
+  {text:"luego", allow:["futuro","ir_a","presente"], weight:1},
+  {text:"más tarde", allow:["futuro","ir_a"], weight:1},
+  {text:"cuando era niño", allow:["imperfecto"], weight:2},
+  {text:"de pequeño", allow:["imperfecto"], weight:1},
+  {text:"antes", allow:["imperfecto"], weight:1},
+  {text:"todos los veranos", allow:["imperfecto","presente"], weight:1},
+  {text:"esta semana", allow:["perfecto","presente"], weight:2},
+  {text:"este año", allow:["perfecto"], weight:1},
+  {text:"nunca", allow:["perfecto","presente"], weight:1},
+  {text:"si tuviera tiempo", allow:["condicional"], weight:2},
+  {text:"en tu lugar", allow:["condicional"], weight:1},
+  {text:"con más dinero", allow:["condicional"], weight:1},
+  {text:"ojalá", allow:["subjuntivo"], weight:2},
+  {text:"espero que", allow:["subjuntivo"], weight:1},
+  {text:"es importante que", allow:["subjuntivo"], weight:1},
+];
+
+// Detectors the heuristic scorer knows, keyed by special key; custom specials pick one of these
+export const SPECIAL_DETECTORS = {
+  neg: "Negation (no)",
+  q: "Question (¿…?)",
+  conj: "‘porque’ / ‘pero’",
+  place: "Place phrase (en …)",
+  time2: "Two time expressions",
+  od: "Direct object pronoun",
+  oi: "Indirect object pronoun",
+  refl: "Reflexive verb",
+  plural: "Plural subject or object",
+  tambien: "‘también’ / ‘tampoco’",
+  twoverbs: "Two chained verbs",
+  tenerque: "‘tener que’ + infinitive",
+  noeng: "No English words",
+};
+
+// Detector pairs a combo card (wild difficulty) never deals together: one already
+// satisfies the other ("tener que" + inf chains two verbs, "tampoco" is a negation)
+export const INCOMPATIBLE_SPECIALS = [
+  ["tenerque","twoverbs"],
+  ["tambien","neg"],
+];
+
+/**
+ * Every special on a draw as [{key, text}]. Combo draws list them in `specials`
+ * (with `special` their joined text and `specialKey` the first key, for older readers);
+ * single-special draws only have `special` and `specialKey`.
+ */
+export function drawSpecials(draw) {
+  return draw.specials || [{key: draw.specialKey, text: draw.special}];
+}
+
+// Specials with simple detectors; some are advanced and award bonus on detection
+export const SPECIALS = [
+  {text:"hazlo en negativo", key:"neg"},
+  {text:"haz una pregunta", key:"q"},
+  {text:"usa ‘porque’ o ‘pero’", key:"conj"},
+  {text:"añade un lugar", key:"place"},
+  {text:"añade un tiempo extra", key:"time2"},
+  {text:"usa un objeto directo (lo/la/los/las)", key:"od"},
+  {text:"usa un objeto indirecto (le/les)", key:"oi"},
+  {text:"usa un reflexivo si aplica", key:"refl"},
+  {text:"cambia al plural", key:"plural"},
+  {text:"incluye ‘también’ o ‘tampoco’", key:"tambien"},
+  {text:"encadena dos verbos", key:"twoverbs"},
+  {text:"usa ‘tener que’ + inf", key:"tenerque"},
+  {text:"sin decir ninguna palabra en inglés", key:"noeng"},
+];
+
+// The built-in deck. Custom decks (src/deckPack.js) replace verbs, time cues and specials;
+// subjects and tenses are fixed because the conjugation engine and scorers depend on them.
+export const DEFAULT_DECK = {
+  id: "default",
+  name: "Tiempo Madness (built-in)",
+  verbs: VERBS,
+  timeCues: TIME_CUES,
+  specials: SPECIALS,
+};
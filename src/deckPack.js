@@ -0,0 +1,166 @@
+/*
+ Deck packs
+ --------------------------------------------------
+ Custom decks (verbs, time cues, specials) built in the deck editor, their
+ versioned JSON pack format, and the validation every imported or edited deck
+ has to pass before it can deal cards. The text rules are shared with
+ /api/score, which accepts custom cards only if they pass them too.
+
+ Deck shape: {id, name, verbs: [{inf, irregular?}], timeCues: [{text, allow, weight}],
+              specials: [{text, key}]}
+*/
+import { DEFAULT_DECK, SPECIAL_DETECTORS, TENSES } from "./deck.js";
+
+export const DECK_PACK_VERSION = 1;
+const LS_KEY = "tiempo-madness:decks";
+const ACTIVE_KEY = "tiempo-madness:active-deck";
+
+export const DECK_LIMITS = {name: 40, verb: 24, cue: 60, special: 80, maxWeight: 5, maxCards: 200};
+
+// ---------------------- Validation ----------------------
+// Single-line card text: letters, digits, spaces and the punctuation the built-in deck uses
+const CARD_TEXT = /^[\p{L}\p{N} ,.;:'‘’“”"¿?¡!()+_/-]+$/u;
+const INFINITIVE = /^[a-záéíóúñü]*(ar|er|ir)$/; // "ir" itself has no stem
+
+export function isDeckText(value, max) {
+  return typeof value === "string" && value.trim() === value && value.length > 0 && value.length <= max && CARD_TEXT.test(value);
+}
+
+export function isInfinitive(value) {
+  return typeof value === "string" && value.length <= DECK_LIMITS.verb && INFINITIVE.test(value);
+}
+
+function duplicates(values) {
+  const seen = new Set();
+  return [...new Set(values.filter(v => seen.has(v) || !seen.add(v)))];
+}
+
+/** Problems with a deck, as short sentences; empty when it can deal cards. */
+export function validateDeck(deck) {
+  if (!deck || typeof deck !== "object") return ["deck must be an object"];
+  const issues = [];
+  const {name, verbs, timeCues, specials} = deck;
+
+  if (!isDeckText(name, DECK_LIMITS.name)) issues.push(`Name must be 1–${DECK_LIMITS.name} plain characters`);
+
+  const lists = {verbs, "time cues": timeCues, specials};
+  Object.entries(lists).forEach(([label, list]) => {
+    if (!Array.isArray(list) || !list.length) issues.push(`Add at least one of the ${label}`);
+    else if (list.length > DECK_LIMITS.maxCards) issues.push(`Too many ${label} (max ${DECK_LIMITS.maxCards})`);
+  });
+  if (![verbs, timeCues, specials].every(Array.isArray)) return issues;
+
+  verbs.forEach((v, i) => {
+    if (!isInfinitive(v?.inf)) issues.push(`Verb ${i + 1}: “${v?.inf ?? ""}” is not a lowercase -ar/-er/-ir infinitive`);
+  });
+  duplicates(verbs.map(v => v?.inf)).forEach(inf => issues.push(`Verb “${inf}” is listed twice`));
+
+  const tenseKeys = TENSES.map(t => t.key);
+  timeCues.forEach((c, i) => {
+    const label = `Time cue ${i + 1}`;
+    if (!isDeckText(c?.text, DECK_LIMITS.cue)) issues.push(`${label}: text must be 1–${DECK_LIMITS.cue} plain characters`);
+    if (!Array.isArray(c?.allow) || !c.allow.length) issues.push(`${label}: pick at least one tense`);
+    else if (c.allow.some(k => !tenseKeys.includes(k))) issues.push(`${label}: unknown tense in “allow”`);
+    if (!Number.isInteger(c?.weight) || c.weight < 1 || c.weight > DECK_LIMITS.maxWeight) {
+      issues.push(`${label}: weight must be a whole number from 1 to ${DECK_LIMITS.maxWeight}`);
+    }
+  });
+  duplicates(timeCues.map(c => c?.text)).forEach(text => issues.push(`Time cue “${text}” is listed twice`));
+
+  // generateDraw picks a cue compatible with the drawn tense, so every tense needs one
+  TENSES.forEach(t => {
+    if (!timeCues.some(c => Array.isArray(c?.allow) && c.allow.includes(t.key))) {
+      issues.push(`No time cue works with ${t.name}`);
+    }
+  });
+
+  specials.forEach((sp, i) => {
+    const label = `Special ${i + 1}`;
+    if (!isDeckText(sp?.text, DECK_LIMITS.special)) issues.push(`${label}: text must be 1–${DECK_LIMITS.special} plain characters`);
+    if (!SPECIAL_DETECTORS[sp?.key]) issues.push(`${label}: choose a detector`);
+  });
+  duplicates(specials.map(sp => sp?.text)).forEach(text => issues.push(`Special “${text}” is listed twice`));
+
+  return issues;
+}
+
+// ---------------------- Packs ----------------------
+/** Deck packs are rejected with every validation issue attached, for the editor to list. */
+export class DeckPackError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "DeckPackError";
+    this.issues = issues;
+  }
+}
+
+export function makeDeckId() {
+  return `deck-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Only the fields a pack carries, in a stable order
+function cleanDeck(deck) {
+  return {
+    name: deck.name,
+    verbs: deck.verbs.map(v => (v.irregular ? {inf: v.inf, irregular: true} : {inf: v.inf})),
+    timeCues: deck.timeCues.map(c => ({text: c.text, allow: [...c.allow], weight: c.weight})),
+    specials: deck.specials.map(sp => ({text: sp.text, key: sp.key})),
+  };
+}
+
+export function deckToPack(deck) {
+  return JSON.stringify({app: "tiempo-madness", kind: "deck", version: DECK_PACK_VERSION, exportedAt: new Date().toISOString(), deck: cleanDeck(deck)}, null, 2);
+}
+
+/**
+ * Parse a deck pack into a deck with a fresh id. Verbs written the old way
+ * ("tener★") are converted to the irregular flag. Throws DeckPackError.
+ */
+export function parseDeckPack(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new DeckPackError(`Not valid JSON: ${error.message}`);
+  }
+  if (data?.app !== "tiempo-madness" || data.kind !== "deck" || !data.deck) throw new DeckPackError("Not a Tiempo Madness deck pack");
+  if (data.version > DECK_PACK_VERSION) throw new DeckPackError(`Deck pack version ${data.version} is newer than this app supports`);
+
+  const raw = data.deck;
+  const deck = {
+    ...raw,
+    name: typeof raw.name === "string" ? raw.name.trim() : raw.name,
+    verbs: Array.isArray(raw.verbs)
+      ? raw.verbs.map(v => {
+        const inf = String(v?.inf ?? "");
+        return {inf: inf.replace(/★/g, "").trim().toLowerCase(), irregular: Boolean(v?.irregular) || inf.includes("★")};
+      })
+      : raw.verbs,
+  };
+  const issues = validateDeck(deck);
+  if (issues.length) throw new DeckPackError(`Deck “${String(deck.name ?? "").slice(0, 40)}” has ${issues.length} problem${issues.length === 1 ? "" : "s"}`, issues);
+  return {...cleanDeck(deck), id: makeDeckId()};
+}
+
+// ---------------------- Storage ----------------------
+/** Saved custom decks; anything that no longer validates is dropped. */
+export function loadDecks() {
+  try {
+    const list = JSON.parse(localStorage.getItem(LS_KEY)) || [];
+    return list.filter(d => d.id && d.id !== DEFAULT_DECK.id && !validateDeck(d).length);
+  } catch {
+    return [];
+  }
+}
+
+export function saveDecks(decks) {
+  localStorage.setItem(LS_KEY, JSON.stringify(decks.map(d => ({...cleanDeck(d), id: d.id}))));
+}
+
+export function loadActiveDeckId() {
+  try { return localStorage.getItem(ACTIVE_KEY) || DEFAULT_DECK.id; } catch { return DEFAULT_DECK.id; }
+}
+
+export function saveActiveDeckId(id) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
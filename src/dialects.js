@@ -0,0 +1,58 @@
+/*
+ Dialects
+ --------------------------------------------------
+ Which subjects a learner gets dealt and which forms count as right. A draw
+ records its dialect (`draw.dialect`, absent = neutral) so scoring, hints and
+ the judge prompt agree with what was dealt:
+   neutral      tú for one friend, ustedes for a group; no vosotros
+   peninsular   Spain: tú and vosotros/vosotras
+   rioplatense  Argentina/Uruguay: vos instead of tú (vos tenés, vos sos)
+*/
+import { PERSONS } from "./conjugation.js";
+import { SUBJECTS } from "./deck.js";
+
+export const DIALECTS = [
+  {
+    key: "neutral",
+    name: "Latin American (neutral)",
+    subjects: SUBJECTS,
+    judgeNote: "Expect Latin American usage: ustedes is the only plural 'you'; vosotros forms are not expected.",
+  },
+  {
+    key: "peninsular",
+    name: "Peninsular (vosotros)",
+    subjects: [...SUBJECTS, "vosotros","vosotras"],
+    judgeNote: "Expect Peninsular Spanish: vosotros/vosotras with their own forms (tenéis, hablasteis) is the informal plural 'you'.",
+  },
+  {
+    key: "rioplatense",
+    name: "Rioplatense (voseo)",
+    subjects: SUBJECTS.map(s => (s === "tú" ? "vos" : s)),
+    judgeNote: "Expect Rioplatense voseo: vos takes stressed present forms (vos tenés, hablás, sos, vivís); other tenses use the tú forms (vos tuviste, vos tengas). Do not mark voseo forms as errors.",
+  },
+];
+
+export const DEFAULT_DIALECT = "neutral";
+
+export function getDialect(key) {
+  return DIALECTS.find(d => d.key === key) || DIALECTS.find(d => d.key === DEFAULT_DIALECT);
+}
+
+// Every subject any dialect can deal, for validating draws from any client
+export const ALL_SUBJECTS = [...new Set(DIALECTS.flatMap(d => d.subjects))];
+
+/** PERSONS as the dialect writes them: voseo puts vos in the tú slot. */
+export function personsFor(dialectKey) {
+  return getDialect(dialectKey).key === "rioplatense" ? PERSONS.map(p => (p === "tú" ? "vos" : p)) : PERSONS;
+}
+
+// ---------------------- Setting ----------------------
+const LS_KEY = "tiempo-madness:dialect";
+
+export function loadDialect() {
+  try { return getDialect(localStorage.getItem(LS_KEY)).key; } catch { return DEFAULT_DIALECT; }
+}
+
+export function saveDialect(key) {
+  localStorage.setItem(LS_KEY, key);
+}
@@ -0,0 +1,135 @@
+/*
+ Correction diff
+ --------------------------------------------------
+ Word-level diff between the player's sentence and a suggested correction,
+ so the result card can mark what changed instead of printing two sentences.
+ Changes are tagged with a category where the draw lets us tell: the drawn
+ verb's forms come from the conjugation engine, everything else from spelling.
+
+ Ops: {type: "same"|"insert"|"delete"|"replace", from?, to?, category?}
+*/
+import { FORM_SUBJECTS, SUBJECT_PRONOUNS, SUPPORTED_TENSES, baseInfinitive, conjugate, personIndex, stripAccents } from "./conjugation.js";
+
+export const DIFF_CATEGORIES = {
+  conjugation: "Conjugation",
+  agreement: "Agreement",
+  accent: "Accent",
+  order: "Word order",
+  vocabulary: "Vocabulary",
+  punctuation: "Punctuation & capitals",
+};
+
+/** The correction a result suggests, or null when there is none (judges answer "Perfect!"). */
+export function correctionOf(r) {
+  const corrected = r?.corrected?.trim();
+  return corrected && corrected !== "Perfect!" ? corrected : null;
+}
+
+// ---------------------- Words ----------------------
+const words = (text) => text.normalize("NFC").split(/\s+/).filter(Boolean);
+const bare = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+const unaccented = (word) => stripAccents(bare(word));
+
+// Longest common subsequence on bare words; punctuation and case differences still line up
+function lcsOps(a, b) {
+  const keyA = a.map(bare), keyB = b.map(bare);
+  const table = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = keyA[i] === keyB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (keyA[i] === keyB[j]) {
+      ops.push(a[i] === b[j] ? {type: "same", to: b[j]} : {type: "replace", from: a[i], to: b[j], category: "punctuation"});
+      i++; j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({type: "delete", from: a[i++]});
+    } else {
+      ops.push({type: "insert", to: b[j++]});
+    }
+  }
+  while (i < a.length) ops.push({type: "delete", from: a[i++]});
+  while (j < b.length) ops.push({type: "insert", to: b[j++]});
+  return ops;
+}
+
+// ---------------------- Categories ----------------------
+// Every word of every form of the drawn verb → the {tense, person} pairs it can be
+function verbFormIndex(verb) {
+  const index = new Map();
+  SUPPORTED_TENSES.forEach(tense => FORM_SUBJECTS.forEach(person => {
+    const form = conjugate(verb, tense, person);
+    const p = personIndex(person); // vos shares the tú person
+    if (!form) return;
+    form.split(" ").filter(w => w !== "a").forEach(w => {
+      if (!index.has(w)) index.set(w, []);
+      index.get(w).push({tense, p});
+    });
+  }));
+  return index;
+}
+
+const ARTICLES = ["el","la","los","las","un","una","unos","unas","del","al"];
+// "bueno" → "buena", "cansado" → "cansados": same word, other gender or number
+const genderStem = (word) => word.replace(/(os|as|o|a|es|s)$/, "");
+
+function categorize(from, to, ctx) {
+  const a = bare(from), b = bare(to);
+  if (a === b) return "punctuation";
+  if (unaccented(from) === unaccented(to)) return "accent";
+  const asVerb = ctx.forms.get(a), toVerb = ctx.forms.get(b);
+  if (asVerb && toVerb) {
+    // Same tense, other person: the verb doesn't agree with its subject
+    const sameTense = asVerb.some(x => toVerb.some(y => x.tense === y.tense && x.p !== y.p));
+    const sameTenseAndPerson = asVerb.some(x => toVerb.some(y => x.tense === y.tense && x.p === y.p));
+    return sameTense && !sameTenseAndPerson ? "agreement" : "conjugation";
+  }
+  if (toVerb) return "conjugation";
+  if (SUBJECT_PRONOUNS.includes(a) && SUBJECT_PRONOUNS.includes(b)) return personIndex(a) === personIndex(b) ? "vocabulary" : "agreement";
+  if (ARTICLES.includes(a) && ARTICLES.includes(b)) return "agreement";
+  if (a.length > 2 && genderStem(a) === genderStem(b)) return "agreement";
+  return "vocabulary";
+}
+
+// A run of deletions and insertions between two matching words → replace ops where they pair up
+function settleRun(dels, ins, ctx) {
+  if (!dels.length) return ins.map(to => ({type: "insert", to}));
+  if (!ins.length) return dels.map(from => ({type: "delete", from}));
+  if (dels.length === ins.length) return dels.map((from, k) => ({type: "replace", from, to: ins[k], category: categorize(from, ins[k], ctx)}));
+  const from = dels.join(" "), to = ins.join(" ");
+  const category = ins.some(w => ctx.forms.has(bare(w))) ? "conjugation" : unaccented(from) === unaccented(to) ? "accent" : "vocabulary";
+  return [{type: "replace", from, to, category}];
+}
+
+/** Diff `sentence` against `corrected`; `draw` (optional) sharpens the categories. */
+export function diffWords(sentence, corrected, draw) {
+  const ctx = {forms: draw?.verb ? verbFormIndex(baseInfinitive(draw.verb)) : new Map()};
+  const ops = [];
+  let dels = [], ins = [];
+  const flush = () => { ops.push(...settleRun(dels, ins, ctx)); dels = []; ins = []; };
+  lcsOps(words(sentence), words(corrected)).forEach(op => {
+    if (op.type === "delete") dels.push(op.from);
+    else if (op.type === "insert") ins.push(op.to);
+    else { flush(); ops.push(op); }
+  });
+  flush();
+
+  // A word deleted in one place and inserted in another was moved
+  const inserted = new Set(ops.filter(o => o.type === "insert").map(o => bare(o.to)));
+  const deleted = new Set(ops.filter(o => o.type === "delete").map(o => bare(o.from)));
+  return ops.map(o =>
+    (o.type === "insert" && deleted.has(bare(o.to))) || (o.type === "delete" && inserted.has(bare(o.from)))
+      ? {...o, category: "order"}
+      : o
+  );
+}
+
+/** {category: count} over the changes, for a one-line summary; a moved word counts once. */
+export function diffSummary(ops) {
+  const counts = {};
+  ops.filter(o => o.category && !(o.category === "order" && o.type === "insert")).forEach(o => { counts[o.category] = (counts[o.category] || 0) + 1; });
+  return counts;
+}
@@ -0,0 +1,103 @@
+/*
+ Difficulty profiles
+ --------------------------------------------------
+ What each level of the Difficulty select changes. A draw dealt at another
+ level than standard records it (`draw.difficulty`, absent = standard) so every
+ scorer marks it with that level's strictness:
+   verbs       regular: regular verbs only (the whole deck if it has none)
+               mixed: every verb equally likely
+               irregular: irregular (★) verbs three times as likely
+   tenses      tensesFor(level) in deck.js: the level's own tenses and every easier one
+   specials    how many specials one card carries; combos never repeat a detector
+               or pair two from INCOMPATIBLE_SPECIALS
+   strictness  see STRICTNESS
+*/
+import { INCOMPATIBLE_SPECIALS } from "./deck.js";
+
+export const DIFFICULTIES = [
+  {
+    key: "easy",
+    name: "Easy",
+    summary: "regular verbs, core tenses, one gentle special, lenient marking",
+    verbs: "regular",
+    specials: {min: 1, max: 1, exclude: ["refl","plural"]},
+    strictness: "lenient",
+  },
+  {
+    key: "standard",
+    name: "Standard",
+    summary: "all verbs, + imperfecto, perfecto, condicional, one special",
+    verbs: "mixed",
+    specials: {min: 1, max: 1, exclude: []},
+    strictness: "normal",
+  },
+  {
+    key: "wild",
+    name: "Wild",
+    summary: "irregular-heavy, + subjuntivo, two or three specials at once, strict marking",
+    verbs: "irregular",
+    specials: {min: 2, max: 3, exclude: []},
+    strictness: "strict",
+  },
+];
+
+export const DEFAULT_DIFFICULTY = "standard";
+
+export function getDifficulty(key) {
+  return DIFFICULTIES.find(d => d.key === key) || DIFFICULTIES.find(d => d.key === DEFAULT_DIFFICULTY);
+}
+
+/**
+ * How hard each level marks, for the heuristic scorer and the judge prompt:
+ *   accentTolerant  missing accents count as accent errors, not wrong forms (see heuristic.js)
+ *   partialCredit   1 of the 2 tense points when the tense is right but the drawn verb is missing
+ *   fluencyWords    words needed (with punctuation) for the fluency point
+ *   judgeNote       extra marking instruction for the AI judge
+ */
+export const STRICTNESS = {
+  lenient: {
+    accentTolerant: true,
+    partialCredit: true,
+    fluencyWords: 3,
+    judgeNote: "Lenient marking for a beginner: count a missing accent or ñ as a minor slip (at most 1 point off overall) and accept a simple but correct sentence as natural.",
+  },
+  normal: {accentTolerant: false, partialCredit: true, fluencyWords: 5, judgeNote: null},
+  strict: {
+    accentTolerant: false,
+    partialCredit: false,
+    fluencyWords: 8,
+    judgeNote: "Strict marking for an advanced player: every accent, agreement or word-order slip costs points, and naturalness needs a sentence a native speaker would say.",
+  },
+};
+
+export function strictnessOf(draw) {
+  return STRICTNESS[getDifficulty(draw.difficulty).strictness];
+}
+
+/** Relative chance of dealing `verb` at this level; 0 leaves it out. */
+export function verbWeight(profile, verb) {
+  if (profile.verbs === "regular") return verb.irregular ? 0 : 1;
+  if (profile.verbs === "irregular") return verb.irregular ? 3 : 1;
+  return 1;
+}
+
+const compatible = (a, b) => a !== b && !INCOMPATIBLE_SPECIALS.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+
+/** Can these special keys share one card? */
+export function specialsCompatible(keys) {
+  return keys.every((a, i) => keys.slice(i + 1).every(b => compatible(a, b)));
+}
+
+/**
+ * Up to `count` specials from `pool` that can share a card; `pickOne(options)`
+ * chooses each one (uniformly, seeded or adaptively weighted).
+ */
+export function dealSpecials(pool, count, pickOne) {
+  const chosen = [];
+  while (chosen.length < count) {
+    const options = pool.filter(sp => chosen.every(c => compatible(c.key, sp.key)));
+    if (!options.length) break;
+    chosen.push(pickOne(options));
+  }
+  return chosen;
+}
@@ -0,0 +1,37 @@
+/*
+ English word list
+ --------------------------------------------------
+ Common English words for the "no English" special. Words that are also
+ Spanish (come, he, me, no, son, sea, red, van, once, has, ten, sale, use…) are
+ left out on purpose so a Spanish sentence never trips the detector, and any
+ word the conjugation engine produces for a deck verb (comes, tú of comer) is
+ filtered out below. The detector also lets through forms of the drawn verb.
+*/
+import { FORM_SUBJECTS, SUPPORTED_TENSES, conjugate } from "./conjugation.js";
+import { VERBS } from "./deck.js";
+
+// Every word of every deck verb form ("he comido" gives "he" and "comido")
+const DECK_FORMS = new Set(VERBS.flatMap(v => SUPPORTED_TENSES.flatMap(t => FORM_SUBJECTS.map(p => conjugate(v.inf, t, p))))
+  .filter(Boolean)
+  .flatMap(form => form.split(" ")));
+
+export const ENGLISH_WORDS = new Set(`
+the and is are was were be been being am have had having do does did done will would can could should must may might shall
+not yes i you your yours she it its we they them their our my his her him this that these those what when where why how who whom which
+there here with without from into onto about for of to in on at by up down out over under after before because but or if then than so
+very really just also too only now today tomorrow yesterday tonight always never sometimes often usually again still already soon later
+all some any every each many much more most less little few other another same different first last next
+good bad big small new old young happy sad nice great well okay ok sure right wrong easy hard fast slow hot cold long short
+please thanks thank sorry hello hi hey bye goodbye welcome
+friend friends family mother father brother sister house home school work job food water coffee book books car city
+day days night week weekend year years time people man men woman women child children boy girl dog cat money shop store beach
+movie movies music song game games phone computer morning afternoon evening breakfast lunch dinner street room kitchen
+go goes going went gone get gets got make makes made take takes took see sees saw seen know knows knew think thinks thought
+want wants wanted need needs needed like likes liked love loves loved eat eats eaten drink drinks drank live lives lived
+read reads write writes wrote written speak speaks spoke talk talks talked play plays played run runs ran buy buys bought
+sell sells sold open opens opened close closes closed say says said tell tells told give gives gave find finds found
+feel feels felt leave leaves left call calls called try tries tried used help helps helped start starts started
+stop stops stopped wait waits waited watch watches watched walk walks walked sleep sleeps slept study studies studied
+learn learns learned teach teaches taught cook cooks cooked travel travels traveled visit visits visited came
+enjoy enjoyed finish finished forget forgot remember remembered understand understood
+`.trim().split(/\s+/).filter(word => !DECK_FORMS.has(word)));
@@ -0,0 +1,231 @@
+/*
+ Heuristic scorer
+ --------------------------------------------------
+ Local rubric used by offline mode and as the fallback when an AI judge fails:
+ 1 cue + 2 tense + 2 per special + 1 subject agreement + 1 star + 1 fluency,
+ so 9 for a single special and 11 or 13 for a combo card (each special is
+ checked and reported on its own).
+ The draw's difficulty sets the strictness (src/difficulty.js): partial tense
+ credit and how long a sentence must be for the fluency point.
+ With `accentTolerant` (or lenient marking), a time cue or drawn verb typed
+ without its accents or ñ ("manana", "comeras") still earns its points and is
+ reported as an accent error instead of a wrong tense; only the exact form
+ earns the star bonus.
+ scoreStory is the story-mode counterpart: coherence across sentences that
+ have each been scored on their own.
+*/
+import { FORM_SUBJECTS, PERSONS, SUBJECT_PRONOUNS, baseInfinitive, conjugate, containsForm, escapeRegex, personIndex, stripAccents, subjectsOfPerson } from "./conjugation.js";
+import { TENSES, VERBS, drawSpecials } from "./deck.js";
+import { personsFor } from "./dialects.js";
+import { strictnessOf } from "./difficulty.js";
+import { detectSpecial } from "./specials.js";
+import { timeOrderBreaks } from "./story.js";
+
+// Tense detection: does any deck verb appear conjugated in this tense (any person, voseo included)?
+// Used as a secondary signal when the drawn verb itself is missing.
+function makeTenseDetector(tenseKey) {
+  return (s) => VERBS.some(v => FORM_SUBJECTS.some(p => containsForm(s, conjugate(v.inf, tenseKey, p))));
+}
+export const tenseCheck = Object.fromEntries(TENSES.map(t => [t.key, makeTenseDetector(t.key)]));
+
+// ---------------------- Subject agreement ----------------------
+// Words that may sit between a subject pronoun and its verb ("ellos no lo comen")
+const BETWEEN = "(?:no|ya|también|tampoco|nunca|siempre|me|te|se|lo|la|los|las|le|les|nos|os)";
+
+// Subject pronoun written right before `form`, if any ("ellos" in "ellos no come")
+function subjectBefore(sentence, form) {
+  const pronoun = SUBJECT_PRONOUNS.map(escapeRegex).join("|");
+  const verb = form.split(/\s+/).map(escapeRegex).join("\\s+");
+  const m = sentence.match(new RegExp(`(?<![\\p{L}])(${pronoun})\\s+(?:${BETWEEN}\\s+){0,3}${verb}(?![\\p{L}])`, "iu"));
+  return m ? m[1].toLowerCase() : null;
+}
+
+function hasWord(sentence, word) {
+  return new RegExp(`(?<![\\p{L}])${escapeRegex(word)}(?![\\p{L}])`, "iu").test(sentence);
+}
+
+const personLabel = (p) => subjectsOfPerson(p).filter(s => !/otras$/.test(s)).join("/");
+
+/**
+ * Does the drawn verb agree with the drawn subject? Finds which persons of the drawn
+ * verb + tense appear in the sentence. An omitted subject (pro-drop) is fine when the
+ * form only belongs to the drawn person; él/ella/usted and ellos/ellas/ustedes share
+ * forms, so any of them agrees, but the card's own pronoun is expected when one is written.
+ * In a voseo draw the second person is checked against the vos forms.
+ * Returns {ok, note?}.
+ */
+export function agreementCheck(sentence, draw) {
+  const expected = personIndex(draw.subject);
+  const forms = personsFor(draw.dialect).map(p => conjugate(draw.verb, draw.tenseKey, p));
+  if (expected < 0 || !forms[expected]) {
+    return hasWord(sentence, draw.subject) ? {ok: true} : {ok: false, note: `Incluye o infiere el sujeto: “${draw.subject}”.`};
+  }
+
+  const found = PERSONS.map((_, p) => p).filter(p => containsForm(sentence, forms[p]));
+  if (!found.length) {
+    // The drawn verb isn't there (the tense check already says so); fall back to an explicit subject
+    return hasWord(sentence, draw.subject) ? {ok: true} : {ok: false, note: `Incluye o infiere el sujeto: “${draw.subject}”.`};
+  }
+
+  if (!found.includes(expected)) {
+    const p = found[0];
+    const written = subjectBefore(sentence, forms[p]);
+    return {ok: false, note: `“${written ? `${written} ` : ""}${forms[p]}” no concuerda con ${draw.subject} (esperado: ${forms[expected]}).`};
+  }
+
+  const form = forms[expected];
+  const written = subjectBefore(sentence, form);
+  if (written) {
+    if (personIndex(written) !== expected) {
+      return {ok: false, note: `“${written} ${form}” no concuerda: ${form} es de ${personLabel(expected)}.`};
+    }
+    if (written !== draw.subject.toLowerCase() && !hasWord(sentence, draw.subject)) {
+      return {ok: false, note: `Concuerda, pero la tarjeta pide el sujeto “${draw.subject}”, no “${written}”.`};
+    }
+    return {ok: true};
+  }
+  if (hasWord(sentence, draw.subject)) return {ok: true};
+
+  // Pro-drop: only when no other person shares this form (hablaba = yo or él)
+  const sharedWith = PERSONS.map((_, p) => p).filter(p => p !== expected && forms[p] === form);
+  if (sharedWith.length) {
+    return {ok: false, note: `“${form}” puede ser ${[expected, ...sharedWith].map(personLabel).join(" o ")}: escribe el sujeto “${draw.subject}”.`};
+  }
+  return {ok: true};
+}
+
+// The sentence with an unaccented `form` written back with its accents, so later checks see the intended word.
+// Accents and ñ are single characters in NFC, so offsets into the sentence stay valid.
+function restoreAccents(sentence, form) {
+  const words = stripAccents(form).split(/\s+/).map(escapeRegex).join("\\s+");
+  return sentence.replace(new RegExp(`(?<![\\p{L}])${words}(?![\\p{L}])`, "iu"), form);
+}
+
+/** The local rubric's maximum for a draw: 9 with one special, 11 or 13 on a combo card. */
+export function heuristicMax(draw) {
+  return 7 + 2 * drawSpecials(draw).length;
+}
+
+export function scoreSentence(s, draw, options = {}) {
+  const strictness = strictnessOf(draw);
+  const accentTolerant = Boolean(options.accentTolerant) || strictness.accentTolerant;
+  const original = s.trim();
+  let sent = original.normalize("NFC");
+  const notes = [];
+  const missingAccents = []; // correct spellings of words typed without their accents (accent-tolerant only)
+  let score = 0;
+
+  // 1) Time cue integration
+  const cueOK = new RegExp(escapeRegex(draw.timeCue), "i").test(sent);
+  const cueUnaccented = !cueOK && accentTolerant && new RegExp(escapeRegex(stripAccents(draw.timeCue)), "i").test(stripAccents(sent));
+  if (cueOK) {
+    score += 1;
+  } else if (cueUnaccented) {
+    score += 1;
+    missingAccents.push(draw.timeCue);
+  } else {
+    notes.push(`Añade la señal de tiempo: “${draw.timeCue}”.`);
+  }
+
+  // 2) Tense compliance — the drawn verb conjugated for the drawn subject and tense
+  const expected = conjugate(draw.verb, draw.tenseKey, draw.subject);
+  const verbOK = containsForm(sent, expected);
+  const verbUnaccented = !verbOK && accentTolerant && Boolean(expected) && containsForm(stripAccents(sent), stripAccents(expected));
+  if (verbUnaccented) {
+    missingAccents.push(expected);
+    sent = restoreAccents(sent, expected);
+  }
+  const tenseOK = verbOK || (tenseCheck[draw.tenseKey] ? tenseCheck[draw.tenseKey](sent) : false);
+  const tuForm = draw.subject === "vos" ? conjugate(draw.verb, draw.tenseKey, "tú") : null;
+  if (verbOK || verbUnaccented) {
+    score += 2;
+  } else if (tuForm && tuForm !== expected && containsForm(sent, tuForm)) {
+    if (strictness.partialCredit) score += 1;
+    notes.push(`Con vos el presente es “${expected}”, no “${tuForm}”.`);
+  } else if (tenseOK && expected) {
+    if (strictness.partialCredit) score += 1;
+    notes.push(`El tiempo parece ${draw.tense}, pero falta “${baseInfinitive(draw.verb)}” con ${draw.subject} (esperado: ${expected}).`);
+  } else if (tenseOK) {
+    score += 2;
+  } else {
+    notes.push(`La forma verbal no coincide con ${draw.subject} + ${draw.tense}${expected ? ` (esperado: ${expected})` : ""}.`);
+  }
+
+  if (missingAccents.length) {
+    notes.push(`Revisa los acentos: ${missingAccents.map(w => `“${w}”`).join(", ")}.`);
+  }
+
+  // 3) Special conditions, each on its own — the matched tokens are returned for highlighting
+  const specials = drawSpecials(draw).map(({key, text}) => ({key, text, ...detectSpecial(key, sent, draw)}));
+  specials.forEach(sp => {
+    if (sp.ok) {
+      score += 2;
+    } else if (sp.key === "noeng") {
+      notes.push(`Palabras en inglés: ${sp.tokens.map(t => `“${t.text}”`).join(", ")}.`);
+    } else {
+      notes.push(`Falta la condición especial: “${sp.text}”.`);
+    }
+  });
+
+  // 4) Subject–verb agreement (the subject may be omitted when the verb form makes it clear)
+  const agreement = agreementCheck(sent, draw);
+  if (agreement.ok) { score += 1; } else { notes.push(agreement.note); }
+
+  // 5) Bonus for irregular star verbs conjugated correctly
+  const starred = /★/.test(draw.verb);
+  if (starred && verbOK) { score += 1; }
+
+  // 6) Fluency feel (length & punctuation simple proxy)
+  const words = sent.split(/\s+/).filter(Boolean).length;
+  if (words >= strictness.fluencyWords && /[\.!?¿¡]/.test(sent)) { score += 1; }
+
+  const max = heuristicMax(draw); // local rubric (1 cue + 2 tense + 2 per special + 1 agreement +1 star +1 fluency)
+  // Which checks passed, for aggregate views such as the classroom summary
+  const checks = {cue: cueOK || cueUnaccented, verb: verbOK || verbUnaccented, special: specials.every(sp => sp.ok), agreement: agreement.ok};
+  const [first] = specials;
+  return {
+    score, max, notes, checks,
+    special: {key: first.key, ok: first.ok, tokens: first.tokens}, // the first special, as single-special results always had it
+    specials: specials.map(({key, text, ok, tokens}) => ({key, text, ok, tokens})),
+  };
+}
+
+// ---------------------- Story coherence ----------------------
+// Words that tie a sentence to the one before ("y" is too common to tell anything)
+const CONNECTORS = ["luego","después","entonces","más tarde","al final","primero","por eso","así que","pero","porque","aunque","además","también","tampoco","mientras","cuando"];
+
+/**
+ * Coherence of a story, `entries` [{sentence, draw}] in story order: 2 points for time
+ * order (one off per jump back, see timeOrderBreaks) and 1 when at least half of the
+ * sentences after the first use a linking word. A switch to a third-person subject the
+ * sentence doesn't name ("yo" then a bare "comieron") gets a note but costs nothing, since
+ * the cards deal the subjects; judging them further is left to the AI judges.
+ * Returns {score, max, notes, checks}.
+ */
+export function scoreStory(entries) {
+  const notes = [];
+  const breaks = timeOrderBreaks(entries);
+  breaks.forEach(({from, to}) => {
+    notes.push(`Orden temporal: la oración ${to.index + 1} (“${to.cue}”) ocurre antes que la ${from.index + 1} (“${from.cue}”). Cambia el orden de las tarjetas o deja claro que es un recuerdo.`);
+  });
+  const timeOrder = Math.max(0, 2 - breaks.length);
+
+  // First and second person show in the verb; él/ellos need the sentence to say who
+  const unnamed = entries.slice(1).map((entry, i) => ({index: i + 1, from: entries[i].draw.subject, to: entry.draw.subject, sentence: entry.sentence}))
+    .filter(({from, to, sentence}) => {
+      const person = personIndex(to);
+      if (![2, 5].includes(person) || person === personIndex(from)) return false;
+      const named = subjectsOfPerson(person).some(s => hasWord(sentence, s)) || /\s\p{Lu}/u.test(sentence.trim());
+      return !named;
+    });
+  unnamed.forEach(({index, from, to}) => {
+    notes.push(`Sujetos: la oración ${index + 1} pasa de “${from}” a “${to}” sin decir quién es; nombra el sujeto (${to}, María, mis amigos…).`);
+  });
+
+  const later = entries.slice(1);
+  const linked = later.filter(({sentence}) => CONNECTORS.some(c => hasWord(sentence, c))).length;
+  const flowOK = linked * 2 >= later.length;
+  if (!flowOK) notes.push("Une las oraciones con conectores (luego, después, por eso, pero…) para que se lean como un párrafo.");
+
+  return {score: timeOrder + (flowOK ? 1 : 0), max: 3, notes, checks: {timeOrder: !breaks.length, subjects: !unnamed.length, flow: flowOK}};
+}
@@ -0,0 +1,76 @@
+/*
+ Hints
+ --------------------------------------------------
+ Three tiers a stuck player can reveal one at a time: what the tense is for,
+ the drawn verb's full table in that tense, and an example sentence built
+ around the time cue. Each revealed tier lowers the most the attempt can
+ score; `max` itself stays the same so stats and leaderboards see the penalty.
+*/
+import { conjugate, conjugationTable, personIndex } from "./conjugation.js";
+import { personsFor } from "./dialects.js";
+
+export const HINT_TIERS = [
+  {key: "tense", label: "What the tense is for", penalty: 0.1},
+  {key: "table", label: "Conjugation table", penalty: 0.2},
+  {key: "example", label: "Example sentence", penalty: 0.2},
+];
+
+export const TENSE_EXPLANATIONS = {
+  presente: "Things that are true now, habits and general facts: hablo, comes, vivimos.",
+  preterito: "A finished action at a specific moment in the past: ayer comí, el lunes fueron.",
+  futuro: "What will happen (or a guess about now): mañana hablaré. Endings go on the whole infinitive.",
+  ir_a: "Plans and the near future: present of ir + a + infinitive (voy a comer, van a salir).",
+  imperfecto: "Ongoing, habitual or background past — how things used to be: de pequeño jugaba mucho.",
+  perfecto: "Past actions connected to now (today, this week, ever): present of haber + participle (he comido).",
+  condicional: "What would happen, often under a condition: con más dinero viajaría. Endings -ía on the infinitive.",
+  subjuntivo: "Wishes, hopes and what is important after a trigger like ojalá or espero que: ojalá tengas suerte.",
+};
+
+// The share of `max` still reachable after revealing `count` tiers
+export function hintFactor(count) {
+  return 1 - HINT_TIERS.slice(0, count).reduce((sum, t) => sum + t.penalty, 0);
+}
+
+export function hintCap(max, count) {
+  return Math.floor(max * hintFactor(count));
+}
+
+/** Cap a result for the hints used; the note explains the cap (in Spanish, like the rest of the feedback). */
+export function applyHints(r, count) {
+  if (!count) return r;
+  const cap = hintCap(r.max, count);
+  const note = `Pistas usadas: ${count} (máximo ${cap}/${r.max}).`;
+  return {...r, score: Math.min(r.score, cap), notes: [...r.notes, note]};
+}
+
+// ---------------------- Example sentence ----------------------
+// Another person than the drawn one, and never one sharing its form (hablaba is yo and él,
+// hable is yo and usted), so the example doesn't hand over the exact answer
+const EXAMPLE_SUBJECTS = ["yo", "nosotros", "ellos", "tú"];
+
+function exampleSubject(draw) {
+  const answer = conjugate(draw.verb, draw.tenseKey, draw.subject);
+  return EXAMPLE_SUBJECTS.find(s => personIndex(s) !== personIndex(draw.subject) && conjugate(draw.verb, draw.tenseKey, s) !== answer);
+}
+
+/** "Ayer, yo puse …": the time cue, then the drawn verb and tense for a subject whose form differs from the answer. */
+export function exampleSentence(draw) {
+  const subject = exampleSubject(draw);
+  if (!subject) return null;
+  const form = conjugate(draw.verb, draw.tenseKey, subject);
+  if (!form) return null;
+  const cue = draw.timeCue.replace(/___/g, "3"); // "hace ___ días" → "hace 3 días"
+  // Triggers like "ojalá" or "espero que" run straight into the verb
+  const lead = /(que|ojalá)$/i.test(cue) ? cue : `${cue},`;
+  return `${lead.charAt(0).toUpperCase()}${lead.slice(1)} ${subject} ${form} …`;
+}
+
+/** Everything the tiers show for a draw: {tense, table: [{person, form, drawn}], example}. */
+export function hintsFor(draw) {
+  const drawn = personIndex(draw.subject);
+  return {
+    tense: TENSE_EXPLANATIONS[draw.tenseKey] || null,
+    table: conjugationTable(draw.verb, draw.tenseKey, personsFor(draw.dialect)).map((row, i) => ({...row, drawn: i === drawn})),
+    example: exampleSentence(draw),
+  };
+}
@@ -0,0 +1,172 @@
+/*
+ History store
+ --------------------------------------------------
+ Persists every scored attempt in IndexedDB (no retention limit), with a
+ localStorage fallback for browsers that block IndexedDB (e.g. some private modes).
+ Also handles JSON/CSV export and merging a JSON export back in.
+
+ Attempt shape: {id, ts, draw, sentence, player?, mode?, challenge?, challengeDraw?, story?, storyIndex?, storyUnfinished?, hints?, r: {score, max, notes, corrected?, source},
+                 rescore?: {scorer, config}, upgraded?: {at, from: {score, max, source}}}
+ (`rescore` and `upgraded` belong to the re-score queue in rescore.js; story-mode
+ sentences share a `story` id and keep their place in it as `storyIndex`;
+ `storyUnfinished` marks those of a story cancelled before it was fully scored.)
+*/
+import { drawSpecials } from "./deck.js";
+
+const DB_NAME = "tiempo-madness";
+const STORE = "attempts";
+const LS_KEY = "tiempo-madness:history";
+export const EXPORT_VERSION = 1;
+
+// ---------------------- Backend ----------------------
+let dbPromise = null;
+
+function openDb() {
+  if (!globalThis.indexedDB) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("ts", "ts");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null); // fall back to localStorage
+    });
+  }
+  return dbPromise;
+}
+
+function tx(db, mode, run) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const result = run(t.objectStore(STORE));
+    t.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    t.onerror = () => reject(t.error);
+  });
+}
+
+function lsRead() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY)) || []; } catch { return []; }
+}
+
+function lsWrite(list) {
+  localStorage.setItem(LS_KEY, JSON.stringify(list));
+}
+
+// ---------------------- API ----------------------
+export function makeAttemptId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** All stored attempts, newest first. */
+export async function loadHistory() {
+  const db = await openDb();
+  const list = db ? await tx(db, "readonly", store => store.getAll()) : lsRead();
+  return [...list].sort((a, b) => (a.ts < b.ts ? 1 : -1));
+}
+
+/** Insert or replace attempts (matched by id). */
+export async function saveAttempts(attempts) {
+  const db = await openDb();
+  if (db) {
+    return tx(db, "readwrite", store => { attempts.forEach(a => store.put(a)); return attempts.length; });
+  }
+  const byId = new Map(lsRead().map(a => [a.id, a]));
+  attempts.forEach(a => byId.set(a.id, a));
+  lsWrite([...byId.values()]);
+  return attempts.length;
+}
+
+export async function clearHistory() {
+  const db = await openDb();
+  if (db) return tx(db, "readwrite", store => store.clear());
+  lsWrite([]);
+}
+
+// ---------------------- Export / import ----------------------
+// A queued re-score names a scorer and its config (an Ollama URL among them), so it stays on this
+// device: an imported file must not make the app send the importer's sentences somewhere
+function withoutRescore({ rescore, ...attempt }) {
+  return attempt;
+}
+
+export function historyToJSON(history) {
+  return JSON.stringify({ app: "tiempo-madness", version: EXPORT_VERSION, exportedAt: new Date().toISOString(), attempts: history.map(withoutRescore) }, null, 2);
+}
+
+const CSV_COLUMNS = [
+  ["timestamp", h => h.ts],
+  ["player", h => h.player || ""],
+  ["mode", h => h.mode || ""],
+  ["challenge", h => h.challenge || ""],
+  ["hints", h => h.hints || 0],
+  ["subject", h => h.draw.subject],
+  ["verb", h => h.draw.verb],
+  ["tense", h => h.draw.tense],
+  ["tenseKey", h => h.draw.tenseKey],
+  ["timeCue", h => h.draw.timeCue],
+  ["special", h => h.draw.special],
+  ["specialKey", h => drawSpecials(h.draw).map(sp => sp.key).join("+")],
+  ["sentence", h => h.sentence],
+  ["score", h => h.r.score],
+  ["max", h => h.r.max],
+  ["source", h => sourceOf(h)],
+  ["notes", h => (h.r.notes || []).filter(Boolean).join(" | ")],
+  ["correction", h => h.r.corrected || ""],
+];
+
+function csvCell(v) {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function historyToCSV(history) {
+  const rows = history.map(h => CSV_COLUMNS.map(([, get]) => csvCell(get(h))).join(","));
+  return [CSV_COLUMNS.map(([name]) => name).join(","), ...rows].join("\n");
+}
+
+function isAttempt(a) {
+  return a && typeof a.ts === "string" && a.draw && typeof a.draw.verb === "string"
+    && typeof a.sentence === "string" && a.r && typeof a.r.score === "number" && typeof a.r.max === "number";
+}
+
+/**
+ * Parse a JSON export (or a bare array of attempts). Throws on malformed files;
+ * attempts without an id get a stable one derived from timestamp + sentence so
+ * importing the same file twice does not duplicate them. Queued re-scores are dropped.
+ */
+export function parseHistoryJSON(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.attempts;
+  if (!Array.isArray(list)) throw new Error("Not a Tiempo Madness history export");
+  if (!Array.isArray(data) && data.version > EXPORT_VERSION) {
+    throw new Error(`History export version ${data.version} is newer than this app supports`);
+  }
+  const valid = list.filter(isAttempt);
+  if (list.length && !valid.length) throw new Error("No valid attempts found in file");
+  return valid.map(a => ({ ...withoutRescore(a), id: a.id || `${a.ts}|${a.sentence}` }));
+}
+
+/** Merge imported attempts into the current list, newest first, skipping ids already present. */
+export function mergeHistory(current, incoming) {
+  const seen = new Set(current.map(a => a.id));
+  const added = incoming.filter(a => !seen.has(a.id));
+  return { merged: [...current, ...added].sort((a, b) => (a.ts < b.ts ? 1 : -1)), added };
+}
+
+export const SOURCE_LABELS = { cloud: "☁️ Cloud AI", ollama: "🏠 Ollama", offline: "📊 Local heuristic" };
+
+// Older attempts (and offline fallbacks) were stored without a source
+export function sourceOf(h) {
+  return h.r?.source || "offline";
+}
+
+export function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -8,3 +8,10 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <TiempoMadnessApp />
   </React.StrictMode>,
 )
+
+// Offline app shell (public/sw.js); left out of dev so it never serves stale modules
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error))
+  })
+}
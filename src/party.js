@@ -0,0 +1,118 @@
+/*
+ Party mode
+ --------------------------------------------------
+ Hot-seat game state for several players sharing one screen. Pure functions:
+ every step returns a new party object, and dealing is injected so the party
+ uses the same generateDraw settings (difficulty, etc.) as solo play.
+
+ Turn points are the normalized score ×100, so a heuristic fallback (/9)
+ and an AI judge (/10) are worth the same on the leaderboard.
+*/
+
+export const DEAL_MODES = {
+  each: "Each player gets their own cards",
+  shared: "Everyone plays the same cards each round",
+};
+
+export const TURN_ORDERS = {
+  fixed: "Fixed (same order every round)",
+  rotate: "Rotate who starts each round",
+  random: "Shuffle every round",
+};
+
+export const MAX_ROUNDS = 20;
+
+function shuffle(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function orderFor(config, round) {
+  const {players, turnOrder} = config;
+  if (turnOrder === "random") return shuffle(players);
+  if (turnOrder === "rotate") {
+    const k = (round - 1) % players.length;
+    return [...players.slice(k), ...players.slice(0, k)];
+  }
+  return [...players];
+}
+
+export function turnPoints(r) {
+  return r.max ? Math.round((r.score / r.max) * 100) : 0;
+}
+
+/** Names trimmed, blanks and duplicates (case-insensitive) dropped. */
+export function cleanPlayers(names) {
+  const seen = new Set();
+  return names.map(n => n.trim()).filter(n => {
+    const key = n.toLowerCase();
+    if (!n || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Start a party. `config`: {players, rounds, dealMode, turnOrder, revealSentences};
+ * `deal()` returns a fresh draw.
+ */
+export function createParty(config, deal) {
+  const players = cleanPlayers(config.players);
+  if (players.length < 2) throw new Error("Party mode needs at least two players");
+  const rounds = Math.min(MAX_ROUNDS, Math.max(1, Math.round(config.rounds) || 1));
+  const full = {...config, players, rounds};
+  return {
+    config: full,
+    round: 1,
+    order: orderFor(full, 1),
+    turnIndex: 0,
+    draw: deal(),
+    turns: [],      // completed: {round, player, draw, sentence, r, points}
+    finished: false,
+  };
+}
+
+export function activePlayer(party) {
+  return party.order[party.turnIndex];
+}
+
+/** Record the active player's scored sentence and move to the next turn (or finish). */
+export function submitTurn(party, {sentence, r}, deal) {
+  const turn = {round: party.round, player: activePlayer(party), draw: party.draw, sentence, r, points: turnPoints(r)};
+  const turns = [...party.turns, turn];
+
+  if (party.turnIndex + 1 < party.order.length) {
+    const draw = party.config.dealMode === "shared" ? party.draw : deal();
+    return {...party, turns, turnIndex: party.turnIndex + 1, draw};
+  }
+  if (party.round >= party.config.rounds) {
+    return {...party, turns, finished: true, draw: null};
+  }
+  const round = party.round + 1;
+  return {...party, turns, round, order: orderFor(party.config, round), turnIndex: 0, draw: deal()};
+}
+
+/** Standings, best first: {player, total, rounds: [points per round or null], best}. */
+export function leaderboard(party) {
+  const {players, rounds} = party.config;
+  return players
+    .map(player => {
+      const mine = party.turns.filter(t => t.player === player);
+      const perRound = Array.from({length: rounds}, (_, i) => mine.find(t => t.round === i + 1)?.points ?? null);
+      return {
+        player,
+        total: mine.reduce((sum, t) => sum + t.points, 0),
+        rounds: perRound,
+        best: mine.reduce((b, t) => (!b || t.points > b.points ? t : b), null),
+      };
+    })
+    .sort((a, b) => b.total - a.total || a.player.localeCompare(b.player));
+}
+
+export function turnsInRound(party, round) {
+  return party.turns.filter(t => t.round === round);
+}
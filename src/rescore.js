@@ -0,0 +1,59 @@
+/*
+ Re-score queue
+ --------------------------------------------------
+ When the chosen AI judge can't be reached (offline, server down, Ollama not
+ running or timing out, rate limited) the attempt is scored by the heuristic
+ fallback and stored with `rescore: {scorer, config}`. The history itself is
+ the queue: pending attempts are retried oldest first once the network comes
+ back or on a timer, and a success replaces `r`, keeping the local score under
+ `upgraded`. Attempts the judge refuses outright (too long, invalid draw, a
+ missing model, a server error, a response that fails validation) keep their
+ local score and leave the queue. The queue isn't exported or imported.
+*/
+import { describeScoringError } from "./scorers/index.js";
+
+export const RESCORE_RETRY_MS = 60 * 1000;
+
+const RETRYABLE = ["network", "rate_limited", "timeout"];
+
+/** Worth trying again later, rather than a refusal that will repeat. */
+export function isRetryable(error) {
+  return RETRYABLE.includes(describeScoringError(error).kind);
+}
+
+/** Attempts waiting for an AI score, oldest first. */
+export function pendingRescores(history) {
+  return history.filter(h => h.rescore).sort((a, b) => (a.ts < b.ts ? -1 : 1));
+}
+
+/** The attempt scored by the AI judge: `r` replaced, the local score kept for reference. */
+export function upgradeAttempt(attempt, r) {
+  const {rescore, ...rest} = attempt;
+  return {...rest, r, upgraded: {at: new Date().toISOString(), from: {score: attempt.r.score, max: attempt.r.max, source: attempt.r.source}}};
+}
+
+/** The attempt taken off the queue with its local score. */
+export function dropRescore(attempt) {
+  const {rescore, ...rest} = attempt;
+  return rest;
+}
+
+/**
+ * Re-score `pending` in order with `score(attempt)` (resolves to the new `r`), stopping at
+ * the first retryable failure since the judge is evidently still unreachable.
+ * Resolves to the changed attempts: {upgraded, dropped}.
+ */
+export async function drainRescores(pending, score) {
+  const upgraded = [];
+  const dropped = [];
+  for (const attempt of pending) {
+    try {
+      upgraded.push(upgradeAttempt(attempt, await score(attempt)));
+    } catch (error) {
+      if (isRetryable(error)) break;
+      console.error("Re-scoring refused:", error);
+      dropped.push(dropRescore(attempt));
+    }
+  }
+  return {upgraded, dropped};
+}
@@ -0,0 +1,38 @@
+import { JudgeResponseError, judgeResult, storyResult } from "../judge.js";
+import { ScoreRequestError } from "./errors.js";
+
+// POST to one of our judge functions and return its JSON, turning refusals into the scorer errors
+async function postJudge(path, body, signal) {
+  const response = await fetch(path, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (errorData.code === "judge_invalid") {
+      throw new JudgeResponseError(errorData.error, errorData.issues);
+    }
+    if ([400, 413, 429].includes(response.status)) {
+      throw new ScoreRequestError(response.status, errorData.code, errorData.error || `Request rejected with status ${response.status}`, errorData.retryAfter);
+    }
+    throw new Error(errorData.error || `API request failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Server-side OpenAI judge behind our Vercel functions (/api/score, /api/story)
+export const cloudScorer = {
+  id: "cloud",
+  label: "☁️ Cloud AI (OpenAI via server)",
+  resultLabel: "☁️ Cloud AI Score",
+  description: "Using server-side OpenAI API (no API key needed from you)",
+  defaultConfig: {},
+  score: async (sentence, draw, config, {signal} = {}) => judgeResult(await postJudge("/api/score", {sentence, draw}, signal), "cloud", draw),
+  scoreStory: async (entries, config, {signal} = {}) => storyResult(await postJudge("/api/story", {story: entries}, signal), "cloud"),
+};
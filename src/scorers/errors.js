@@ -0,0 +1,56 @@
+import { JudgeResponseError } from "../judge.js";
+
+/** The scoring endpoint refused the request itself (bad input, too long, rate limited). */
+export class ScoreRequestError extends Error {
+  constructor(status, code, message, retryAfter = null) {
+    super(message);
+    this.name = "ScoreRequestError";
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The judge was reachable but went quiet for longer than its timeout (e.g. a model still loading). */
+export class ScoringTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScoringTimeoutError";
+  }
+}
+
+/** True when the player cancelled the request (an aborted fetch); nothing should be scored or recorded. */
+export function isCancelled(error) {
+  return error?.name === "AbortError";
+}
+
+const REJECTIONS = {
+  400: {kind: "rejected", title: "🚫 Request rejected:", hint: "The server did not accept this draw. Scored locally instead."},
+  404: {kind: "not_found", title: "🔎 Model not found:", hint: "Pick an installed model in the Ollama settings. Scored locally instead."},
+  413: {kind: "too_long", title: "✂️ Sentence too long:", hint: "Shorten it to score with AI. Scored locally instead."},
+  429: {kind: "rate_limited", title: "⏳ Slow down:", hint: "AI scoring is rate limited. Scored locally for now."},
+};
+
+/** Banner content for a failed AI score: {kind, title, message, hint}. */
+export function describeScoringError(error) {
+  if (error instanceof ScoreRequestError && REJECTIONS[error.status]) {
+    return {...REJECTIONS[error.status], message: error.message};
+  }
+  if (error instanceof ScoringTimeoutError) {
+    return {kind: "timeout", title: "⌛ Judge timed out:", message: error.message, hint: "Scored locally instead."};
+  }
+  if (error instanceof JudgeResponseError) {
+    return {
+      kind: "invalid",
+      title: "⚠️ Judge response invalid:",
+      message: error.message,
+      hint: "The judge was reached, but its scores failed validation even after a retry. Falling back to local heuristic scoring.",
+    };
+  }
+  // fetch rejects with a TypeError when the server can't be reached at all; anything else (a 500,
+  // a reply that isn't JSON) would fail the same way again, so it isn't worth a retry
+  if (error instanceof TypeError) {
+    return {kind: "network", title: "⚠️ AI Scoring Error:", message: error.message, hint: "Falling back to local heuristic scoring."};
+  }
+  return {kind: "failed", title: "⚠️ AI Scoring Error:", message: error.message, hint: "Falling back to local heuristic scoring."};
+}
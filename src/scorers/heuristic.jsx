@@ -0,0 +1,25 @@
+import React from "react";
+import { scoreSentence, scoreStory } from "../heuristic.js";
+
+function HeuristicConfig({config, onChange}) {
+  return (
+    <div className="pl-6 text-xs text-slate-600 space-y-1">
+      <div>Using local pattern-matching heuristics only</div>
+      <label className="flex items-center gap-2" title="Also used when an AI judge fails">
+        <input type="checkbox" checked={config.accentTolerant} onChange={e => onChange({...config, accentTolerant: e.target.checked})} />
+        Accent-tolerant: count “comeras” for “comerás” and report it as an accent error
+      </label>
+    </div>
+  );
+}
+
+// Local pattern-matching rubric (out of 9, more on combo cards); no network, instant
+export const heuristicScorer = {
+  id: "offline",
+  label: "📊 Offline (heuristic scoring)",
+  resultLabel: "📊 Local score",
+  defaultConfig: {accentTolerant: false},
+  ConfigPanel: HeuristicConfig,
+  score: async (sentence, draw, config = {}) => ({...scoreSentence(sentence, draw, config), source: "offline"}),
+  scoreStory: async (entries) => ({...scoreStory(entries), source: "offline"}),
+};
@@ -0,0 +1,43 @@
+/*
+ Scorer providers
+ --------------------------------------------------
+ Every scoring mode implements the same interface so the app never branches on
+ which one is selected:
+
+   {
+     id,              // stored as `source` on results and in history
+     label,           // option text in the Scoring Mode select
+     resultLabel,     // heading above a result ("☁️ Cloud AI Score")
+     description?,    // one-liner shown under the select when there is no ConfigPanel
+     defaultConfig,   // initial settings object for ConfigPanel / score()
+     ConfigPanel?,    // React component: ({config, onChange}) => settings UI
+     score(sentence, draw, config, {signal?, onProgress?}) → Promise<{score, max, notes, corrected?, source}>
+     scoreStory(entries, config, {signal?, onProgress?}) → Promise<{score, max, notes, source}>
+   }
+
+ `scoreStory` rates the coherence of a story-mode paragraph, `entries` being
+ [{sentence, draw}] in story order; the sentences themselves go through score().
+
+ `signal` cancels the request (it then rejects with an AbortError, see isCancelled);
+ a provider that streams calls `onProgress(textSoFar)` as the judge's reply arrives.
+
+ To add a provider, create a module here and list it in SCORERS.
+*/
+import { cloudScorer } from "./cloud.js";
+import { heuristicScorer } from "./heuristic.jsx";
+import { ollamaScorer } from "./ollama.jsx";
+
+export { ScoreRequestError, ScoringTimeoutError, describeScoringError, isCancelled } from "./errors.js";
+
+export const SCORERS = [cloudScorer, ollamaScorer, heuristicScorer];
+
+// Used when an AI scorer fails, and for anything that needs an instant score
+export const FALLBACK_SCORER = heuristicScorer;
+
+export function getScorer(id) {
+  return SCORERS.find(s => s.id === id) || FALLBACK_SCORER;
+}
+
+export function defaultScorerConfigs() {
+  return Object.fromEntries(SCORERS.map(s => [s.id, {...s.defaultConfig}]));
+}
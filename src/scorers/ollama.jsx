@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from "react";
+import { STORY_SCHEMA, judgeResult, runJudge, runStoryJudge, storyResult } from "../judge.js";
+import { OLLAMA_TIMEOUT_SEC, checkOllama, createOllamaAsk, describeOllamaCheck, sameModel } from "./ollamaClient.js";
+
+const inputClass = "w-full px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-400";
+
+const STATUS_STYLES = {
+  checking: "text-slate-500",
+  ok: "text-emerald-700",
+  error: "text-amber-700",
+};
+
+function OllamaConfig({config, onChange}) {
+  const [check, setCheck] = useState(null); // latest checkOllama result; null while checking
+  const [attempt, setAttempt] = useState(0); // bumped by "Test connection"
+
+  // Re-check shortly after the URL stops changing, and whenever the test button is pressed
+  useEffect(() => {
+    const controller = new AbortController();
+    setCheck(null);
+    const timer = setTimeout(() => {
+      checkOllama(config.url, {signal: controller.signal})
+        .then(setCheck)
+        .catch(() => {}); // superseded by a newer check
+    }, 400);
+    return () => { clearTimeout(timer); controller.abort(); };
+  }, [config.url, attempt]);
+
+  const models = check?.models || [];
+  const installed = models.find(m => sameModel(m, config.model));
+  const status = check ? describeOllamaCheck(check, config) : null;
+  const state = !status ? "checking" : status.ok ? "ok" : "error";
+
+  return (
+    <div className="pl-6 border-l-2 border-slate-200 space-y-2">
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <label className="text-xs text-slate-600">Ollama URL</label>
+          <input
+            type="text"
+            placeholder="http://localhost:11434"
+            value={config.url}
+            onChange={e => onChange({...config, url: e.target.value})}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex-1">
+          <label className="text-xs text-slate-600">Model</label>
+          {models.length ? (
+            <select value={installed || config.model} onChange={e => onChange({...config, model: e.target.value})} className={`${inputClass} bg-white`}>
+              {!installed && <option value={config.model}>{config.model} (not installed)</option>}
+              {models.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+          ) : (
+            <input
+              type="text"
+              placeholder="llama3"
+              value={config.model}
+              onChange={e => onChange({...config, model: e.target.value})}
+              className={inputClass}
+            />
+          )}
+        </div>
+        <div className="w-28">
+          <label className="text-xs text-slate-600" title="Give up when the model sends nothing for this long">Timeout (s)</label>
+          <input
+            type="number"
+            min="10"
+            max="600"
+            value={config.timeoutSec}
+            onChange={e => onChange({...config, timeoutSec: Number(e.target.value)})}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div className="flex items-center gap-2 text-xs">
+        <button onClick={() => setAttempt(n => n + 1)} disabled={state === "checking"} className="px-2 py-1 rounded-lg border bg-white hover:bg-slate-50 disabled:opacity-50">
+          Test connection
+        </button>
+        <span role="status" className={STATUS_STYLES[state]}>
+          {state === "ok" ? "✅" : state === "error" ? "⚠️" : "⏳"} {status ? status.message : "Looking for Ollama…"}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Local LLM judge via the Ollama chat API, streamed so the reply can be watched arriving
+export const ollamaScorer = {
+  id: "ollama",
+  label: "🏠 Local AI (Ollama)",
+  resultLabel: "🏠 Ollama Score",
+  defaultConfig: {url: "http://localhost:11434", model: "llama3", timeoutSec: OLLAMA_TIMEOUT_SEC},
+  ConfigPanel: OllamaConfig,
+  score: async (sentence, draw, config, run) => judgeResult(await runJudge(createOllamaAsk(config, run), draw, sentence), 'ollama', draw),
+  scoreStory: async (entries, config, run) => storyResult(await runStoryJudge(createOllamaAsk(config, run, STORY_SCHEMA), entries), 'ollama'),
+};
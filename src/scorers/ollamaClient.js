@@ -0,0 +1,138 @@
+// Ollama client for the judge and the settings panel, kept apart from the React config panel so Node scripts can use it
+import { JUDGE_SCHEMA } from "../judge.js";
+import { ScoreRequestError, ScoringTimeoutError } from "./errors.js";
+
+// Seconds without any output before a judge request is abandoned; a cold model can take a while to load
+export const OLLAMA_TIMEOUT_SEC = 90;
+
+const cancelled = () => new DOMException("Scoring cancelled", "AbortError");
+
+// "llama3" is what people type, "llama3:latest" is what /api/tags lists
+export const sameModel = (installed, model) => installed === model || installed === `${model}:latest`;
+
+// Ollama streams one JSON object per line; `onText` gets the reply so far after each one
+async function readChat(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  const take = (line) => {
+    if (!line.trim()) return;
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(`Ollama: ${data.error}`);
+    content += data.message?.content || "";
+    onText(content);
+  };
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, {stream: true});
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(take);
+  }
+  take(buffer);
+  return content;
+}
+
+/**
+ * `ask(messages)` for runJudge against an Ollama server. The reply is streamed so
+ * `onProgress(textSoFar)` can show it arriving; `signal` cancels, and a request that
+ * produces nothing for `timeoutSec` fails with ScoringTimeoutError. Replies follow
+ * `schema` (the story prompt has its own); structured output needs Ollama 0.5+, and
+ * older servers reject a schema, so drop to plain JSON mode.
+ */
+export function createOllamaAsk({url, model, timeoutSec}, {signal, onProgress} = {}, schema = JUDGE_SCHEMA) {
+  const limit = timeoutSec > 0 ? timeoutSec : OLLAMA_TIMEOUT_SEC;
+  let format = schema;
+  const chat = (messages, abort) => fetch(`${url}/api/chat`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      format,
+      stream: true,
+      options: {
+        temperature: 0.3,
+        num_predict: 500
+      }
+    }),
+    signal: abort
+  });
+
+  return async (messages) => {
+    if (signal?.aborted) throw cancelled();
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener("abort", cancel);
+    let timer;
+    let timedOut = false;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { timedOut = true; controller.abort(); }, limit * 1000);
+    };
+
+    try {
+      restartTimer();
+      let response = await chat(messages, controller.signal);
+      if (response.status === 400 && format !== "json") {
+        format = "json";
+        response = await chat(messages, controller.signal);
+      }
+      if (response.status === 404) {
+        throw new ScoreRequestError(404, "model_not_found", `Model “${model}” is not installed on this Ollama server`);
+      }
+      if (!response.ok) {
+        throw new Error(`Ollama request failed with status ${response.status}. Is Ollama running?`);
+      }
+      return await readChat(response, (text) => {
+        restartTimer();
+        onProgress?.(text);
+      });
+    } catch (error) {
+      if (timedOut) throw new ScoringTimeoutError(`${model} sent nothing for ${limit} s; it may still be loading`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    }
+  };
+}
+
+// ---------------------- Discovery ----------------------
+async function getJson(url, signal) {
+  const response = await fetch(url, {signal});
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  return response.json();
+}
+
+/**
+ * Connection test for the settings panel: is the server up and which models are
+ * installed? Resolves to {reachable, version?, models}; only a cancelled check rejects.
+ */
+export async function checkOllama(url, {signal} = {}) {
+  try {
+    const [about, tags] = await Promise.all([getJson(`${url}/api/version`, signal), getJson(`${url}/api/tags`, signal)]);
+    return {reachable: true, version: about.version, models: (tags.models || []).map(m => m.name).sort()};
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    return {reachable: false, models: []};
+  }
+}
+
+/** What a checkOllama result means for `model`: {ok, message}. */
+export function describeOllamaCheck(check, {url, model}) {
+  if (!check.reachable) {
+    return {ok: false, message: `Can't reach Ollama at ${url}. Is it running, and does OLLAMA_ORIGINS allow this page?`};
+  }
+  if (!check.models.length) {
+    return {ok: false, message: `Ollama ${check.version} is running but has no models yet. Run: ollama pull llama3`};
+  }
+  if (!check.models.some(m => sameModel(m, model))) {
+    return {ok: false, message: `Ollama ${check.version} is running, but “${model}” isn't installed. Pick a model or run: ollama pull ${model}`};
+  }
+  return {ok: true, message: `Connected to Ollama ${check.version}; ${model} is installed.`};
+}
@@ -0,0 +1,51 @@
+/*
+ Keyboard shortcuts
+ --------------------------------------------------
+ Solo play without the mouse. Ctrl/⌘ combinations work anywhere, including
+ the sentence box; single keys only fire when no text field has focus, so
+ Escape leaves the sentence box first. Alt/Option is never bound: on a Mac it
+ is how accents get typed.
+*/
+import { useEffect, useRef } from "react";
+
+// Shown under the sentence box; keep in step with the bindings in TiempoMadnessApp
+export const SHORTCUTS = [
+  {keys: "Ctrl/⌘ + Enter", action: "Score (again to cancel)"},
+  {keys: "N", action: "New draw"},
+  {keys: "C", action: "Copy judge prompt"},
+  {keys: "/", action: "Write your sentence"},
+  {keys: "Esc", action: "Leave the sentence box"},
+];
+
+const isTextField = (el) => Boolean(el) && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+
+// "mod+enter", "n", "/", "escape"… or null for combinations nothing may bind
+function comboOf(e) {
+  if (e.altKey) return null;
+  const key = e.key.toLowerCase();
+  return e.ctrlKey || e.metaKey ? `mod+${key}` : key;
+}
+
+/**
+ * Listen for `bindings` ({combo: handler}) on the window while `enabled`.
+ * Handlers may change every render; the latest ones always run.
+ */
+export function useShortcuts(bindings, enabled = true) {
+  const latest = useRef(bindings);
+  latest.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const onKeyDown = (e) => {
+      if (e.isComposing || e.repeat) return; // dead keys mid-accent, held keys
+      const combo = comboOf(e);
+      const handler = combo && latest.current[combo];
+      if (!handler) return;
+      if (!combo.startsWith("mod+") && combo !== "escape" && isTextField(e.target)) return;
+      e.preventDefault();
+      handler(e);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [enabled]);
+}
@@ -0,0 +1,240 @@
+/*
+ Special-condition detectors
+ --------------------------------------------------
+ A small tokenizer plus one detector per special key (see SPECIAL_DETECTORS in
+ deck.js). Detectors work on tokens rather than raw regexes so they can tell
+ a clitic pronoun ("lo compro", "hacerlo") from an article ("los libros"),
+ recognise place phrases ("en la playa", "voy a Madrid") and spot English words.
+
+ Every detector returns {ok, tokens}: the tokens that satisfied it, so the
+ feedback can highlight them. For "noeng" the tokens are the English words
+ that broke the rule.
+*/
+import { FORM_SUBJECTS, PERSONS, SUBJECT_PRONOUNS, SUPPORTED_TENSES, conjugate } from "./conjugation.js";
+import { TIME_CUES, VERBS } from "./deck.js";
+import { ENGLISH_WORDS } from "./englishWords.js";
+
+// ---------------------- Tokenizer ----------------------
+/** Words and punctuation with their character offsets: [{text, lower, start, end, word}]. */
+export function tokenize(sentence) {
+  const tokens = [];
+  for (const m of sentence.normalize("NFC").matchAll(/[\p{L}\p{N}]+|[¿?¡!.,;:]/gu)) {
+    const word = /^[\p{L}\p{N}]/u.test(m[0]);
+    tokens.push({text: m[0], lower: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length, word});
+  }
+  return tokens;
+}
+
+// A run of tokens reported as one highlight ("en la playa")
+function span(tokens, from, to) {
+  const first = tokens[from], last = tokens[to];
+  return {text: tokens.slice(from, to + 1).map(t => t.text).join(" "), start: first.start, end: last.end};
+}
+
+const pick = ({text, start, end}) => ({text, start, end});
+const hit = (tokens) => ({ok: tokens.length > 0, tokens});
+
+// ---------------------- Word classes ----------------------
+const OBJECT_CLITICS = ["lo","la","los","las"];
+const INDIRECT_CLITICS = ["le","les"];
+const REFLEXIVE_CLITICS = ["me","te","se","nos","os"];
+const CLITICS = [...REFLEXIVE_CLITICS, ...OBJECT_CLITICS, ...INDIRECT_CLITICS];
+
+// Words that put a following lo/la/los/las in front of a verb ("no lo sé", "yo la veo")
+const PRE_CLITIC = new Set(["no","ya","nunca","también","tampoco","siempre", ...SUBJECT_PRONOUNS, ...REFLEXIVE_CLITICS, ...INDIRECT_CLITICS]);
+
+// Common finite forms the engine doesn't build (verbs outside the deck)
+const EXTRA_FINITE = `quiero quieres quiere queremos queréis quieren quería quise quiso sé sabes sabe sabemos sabéis saben
+sabía supe suelo sueles suele solemos soléis suelen solía pienso piensas piensa pensamos pensáis piensan prefiero prefieres
+prefiere preferimos preferís prefieren empiezo empiezas empieza empezamos empezáis empiezan veo ves ve vemos veis ven vi vio
+doy das da damos dais dan di dio necesito necesitas necesita necesitamos necesitáis necesitan debo debes debe debemos debéis deben
+acabo acabas acaba acabamos acabáis acaban vuelvo vuelves vuelve volvemos volvéis vuelven`.split(/\s+/);
+
+// Finite forms of a verb in every tense and person (voseo too); compound ones give their first word ("he" comido, "voy" a comer)
+function finiteForms(verb) {
+  return SUPPORTED_TENSES.flatMap(tense => FORM_SUBJECTS.map(p => conjugate(verb, tense, p)?.split(" ")[0])).filter(Boolean);
+}
+const DECK_FINITE = new Set([...EXTRA_FINITE, ...VERBS.flatMap(v => finiteForms(v.inf))]);
+const TENER_FORMS = new Set(SUPPORTED_TENSES.flatMap(tense => FORM_SUBJECTS.map(p => conjugate("tener", tense, p))).filter(f => f && !f.includes(" ")));
+
+// Infinitive or gerund with attached clitics: hacerlo, darles, irme, dárselo, comprándolas, levantarse
+const ENCLITIC = new RegExp(`^(\\p{L}*?(?:ar|er|ir|ár|ér|ír|ando|iendo|yendo|ándo|iéndo|yéndo))((?:${CLITICS.join("|")}){1,2})$`, "u");
+const INFINITIVE = /^\p{L}+(ar|er|ir)$/u;
+// Common nouns and adverbs with an infinitive's ending: "quiero el mar" has one verb
+const NOT_INFINITIVE = new Set(`mar lugar hogar bar par azar altar collar militar dólar pilar titular particular popular
+mujer ayer taller alquiler cualquier placer alfiler carácter cráter chófer elixir nadir`.split(/\s+/));
+
+function isInfinitive(token) {
+  return INFINITIVE.test(token.lower) && !NOT_INFINITIVE.has(token.lower);
+}
+// Everyday words that happen to look like one
+const NOT_ENCLITIC = new Set(["parte","partes","arte","artes","suerte","muerte","fuerte","fuertes","norte","perla","perlas","carla","carlos"]);
+
+function enclitics(token) {
+  if (NOT_ENCLITIC.has(token.lower)) return [];
+  const m = token.lower.match(ENCLITIC);
+  if (!m) return [];
+  return m[2].match(new RegExp(CLITICS.join("|"), "g")) || [];
+}
+
+// Is the clitic at index i in front of a verb rather than an article before a noun?
+function isProclitic(tokens, i, finite) {
+  const next = tokens[i + 1];
+  if (!next?.word) return false;
+  if (finite.has(next.lower)) return true;
+  // a second clitic in between: "se lo doy", "me la compré"
+  if (CLITICS.includes(next.lower) && finite.has(tokens[i + 2]?.lower)) return true;
+  const prev = tokens[i - 1];
+  return Boolean(prev && PRE_CLITIC.has(prev.lower));
+}
+
+function cliticTokens(ctx, set) {
+  const {tokens, finite} = ctx;
+  return tokens.filter((t, i) =>
+    (set.includes(t.lower) && isProclitic(tokens, i, finite)) ||
+    enclitics(t).some(c => set.includes(c))
+  ).map(pick);
+}
+
+// ---------------------- Phrases ----------------------
+const PLACE_NOUNS = new Set(`casa escuela colegio trabajo oficina parque ciudad pueblo playa montaña campo mercado supermercado tienda
+restaurante cafetería café bar cine teatro museo biblioteca universidad hospital iglesia plaza calle barrio centro aeropuerto estación
+hotel gimnasio piscina jardín cocina habitación cuarto salón baño clase aula país mundo mar río lago bosque tren autobús coche metro
+montañas playas tiendas`.split(/\s+/));
+
+// Prepositions that say where: a known place or a proper name after them is a place ("en Madrid")
+const LOCATIVE_PREPOSITIONS = ["en","desde","hacia","hasta","cerca de","lejos de","delante de","detrás de","al lado de","dentro de","enfrente de"];
+// These also take people and topics ("llamé a María", "hablé de Juan"): only a known place counts,
+// or a proper name after "a" following a verb of motion ("voy a Madrid")
+const OTHER_PREPOSITIONS = ["a","al","de","del","por"];
+const PLACE_PREPOSITIONS = [...LOCATIVE_PREPOSITIONS, ...OTHER_PREPOSITIONS];
+const MOTION_VERBS = ["ir","viajar","llegar","volver","regresar","venir","mudar"];
+const MOTION_FORMS = new Set([
+  ...MOTION_VERBS, "ido","viajado","llegado","vuelto","regresado","venido","mudado",
+  ...MOTION_VERBS.flatMap(v => SUPPORTED_TENSES.flatMap(tense => FORM_SUBJECTS.map(p => conjugate(v, tense, p)))).filter(f => f && !f.includes(" ")),
+]);
+const DETERMINERS = new Set(["el","la","los","las","un","una","unos","unas","mi","mis","tu","tus","su","sus","nuestro","nuestra","nuestros","nuestras","este","esta","ese","esa","aquel","aquella"]);
+
+// Longest phrase from `phrases` starting at token i, as a token count (0 when none)
+function phraseAt(tokens, i, phrases) {
+  let best = 0;
+  phrases.forEach(p => {
+    const words = p.split(" ");
+    if (words.length > best && words.every((w, k) => tokens[i + k]?.lower === w)) best = words.length;
+  });
+  return best;
+}
+
+function placePhrases(tokens) {
+  const found = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const prep = phraseAt(tokens, i, PLACE_PREPOSITIONS);
+    if (!prep) continue;
+    let j = i + prep;
+    if (DETERMINERS.has(tokens[j]?.lower)) j++;
+    const noun = tokens[j];
+    if (!noun?.word) continue;
+    const named = /^\p{Lu}/u.test(noun.text) && (
+      LOCATIVE_PREPOSITIONS.includes(tokens.slice(i, i + prep).map(t => t.lower).join(" ")) ||
+      (tokens[i].lower === "a" && MOTION_FORMS.has(tokens[i - 1]?.lower))
+    );
+    if (PLACE_NOUNS.has(noun.lower) || named) {
+      found.push(span(tokens, i, j));
+      i = j;
+    }
+  }
+  return found;
+}
+
+// Time expressions for "añade un tiempo extra": the built-in cues (blanks dropped) plus a few more
+const TIME_PHRASES = [...new Set([
+  "hoy","mañana","ayer","esta noche","esta tarde","esta mañana","pasado mañana","la semana que viene","el año pasado",
+  "el lunes pasado","dentro de","hace","luego","pronto",
+  ...TIME_CUES.map(c => c.text.split(" ___")[0].toLowerCase()),
+])];
+
+function timePhrases(tokens) {
+  const found = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const n = phraseAt(tokens, i, TIME_PHRASES);
+    if (n) { found.push(span(tokens, i, i + n - 1)); i += n - 1; }
+  }
+  return found;
+}
+
+const wordsIn = (tokens, list) => tokens.filter(t => list.includes(t.lower)).map(pick);
+
+// ---------------------- Detectors ----------------------
+const REFLEXIVE_STEMS = /^(bañ|lav|levant|llam|sent|sient|vist|vest|duch|acost|acuest|acord|acuerd|qued|despiert|despert|pein|maquill|cas|divirt|diviert|preocup|march)/;
+const MODAL_LINKS = ["a","de","que"];
+const NEGATIONS = ["no","nunca","jamás","tampoco","nadie","nada","ningún","ninguno","ninguna","ni"];
+const PLURAL_SUBJECTS = ["nosotros","nosotras","vosotros","vosotras","ustedes","ellos","ellas"];
+
+export const DETECTORS = {
+  neg: ({tokens}) => hit(wordsIn(tokens, NEGATIONS)),
+  q: ({tokens}) => {
+    const first = tokens[0], last = tokens[tokens.length - 1];
+    return first?.text === "¿" && last?.text === "?" ? {ok: true, tokens: [pick(first), pick(last)]} : {ok: false, tokens: []};
+  },
+  conj: ({tokens}) => hit(wordsIn(tokens, ["porque","pero"])),
+  place: ({tokens}) => hit(placePhrases(tokens)),
+  time2: ({tokens}) => {
+    const found = timePhrases(tokens);
+    return {ok: found.length >= 2, tokens: found};
+  },
+  od: (ctx) => hit(cliticTokens(ctx, OBJECT_CLITICS)),
+  oi: (ctx) => {
+    // "se lo di" — le/les turn into se before lo/la/los/las
+    const seLo = ctx.tokens.filter((t, i) => t.lower === "se" && OBJECT_CLITICS.includes(ctx.tokens[i + 1]?.lower)).map(pick);
+    return hit([...cliticTokens(ctx, INDIRECT_CLITICS), ...seLo]);
+  },
+  refl: ({tokens}) => hit(tokens.filter((t, i) =>
+    (REFLEXIVE_CLITICS.includes(t.lower) && REFLEXIVE_STEMS.test(tokens[i + 1]?.lower || "") && tokens[i + 1].word) ||
+    enclitics(t).some(c => REFLEXIVE_CLITICS.includes(c))
+  ).map(pick)),
+  plural: ({tokens, draw}) => {
+    const pronouns = wordsIn(tokens, PLURAL_SUBJECTS);
+    // a dropped plural subject still shows in the verb: "comemos", "van a salir"
+    const forms = [3, 4, 5].map(p => conjugate(draw.verb, draw.tenseKey, PERSONS[p])).filter(Boolean);
+    const verbs = [];
+    forms.forEach(form => {
+      const words = form.split(" ");
+      tokens.forEach((t, i) => {
+        if (words.every((w, k) => tokens[i + k]?.lower === w)) verbs.push(span(tokens, i, i + words.length - 1));
+      });
+    });
+    return hit([...pronouns, ...verbs]);
+  },
+  tambien: ({tokens}) => hit(wordsIn(tokens, ["también","tampoco"])),
+  twoverbs: ({tokens, finite}) => {
+    for (let i = 0; i < tokens.length - 1; i++) {
+      if (!finite.has(tokens[i].lower)) continue;
+      const j = MODAL_LINKS.includes(tokens[i + 1].lower) ? i + 2 : i + 1;
+      const next = tokens[j];
+      if (next?.word && (isInfinitive(next) || enclitics(next).length)) return hit([span(tokens, i, j)]);
+    }
+    return hit([]);
+  },
+  tenerque: ({tokens}) => {
+    for (let i = 0; i < tokens.length - 2; i++) {
+      const next = tokens[i + 2];
+      if (TENER_FORMS.has(tokens[i].lower) && tokens[i + 1].lower === "que" && (isInfinitive(next) || enclitics(next).length)) {
+        return hit([span(tokens, i, i + 2)]);
+      }
+    }
+    return hit([]);
+  },
+  noeng: ({tokens, finite}) => {
+    // A Spanish verb form is never English, even when spelled like it
+    const english = tokens.filter(t => t.word && ENGLISH_WORDS.has(t.lower) && !finite.has(t.lower)).map(pick);
+    return {ok: english.length === 0, tokens: english};
+  },
+};
+
+/** Run the detector for `key` on a sentence; unknown keys never pass. */
+export function detectSpecial(key, sentence, draw) {
+  const detector = DETECTORS[key];
+  if (!detector) return {ok: false, tokens: []};
+  const finite = new Set([...DECK_FINITE, ...finiteForms(draw.verb)]);
+  return detector({tokens: tokenize(sentence), draw, finite});
+}
@@ -0,0 +1,91 @@
+/*
+ Progress stats
+ --------------------------------------------------
+ Pure aggregations over the attempt history for the progress dashboard.
+ Every average uses the normalized score (score / max) because local scoring
+ is out of 9 (more on combo cards) and the AI judges are out of 10.
+*/
+import { MASTERY, normalizedScore } from "./adaptive.js";
+import { drawSpecials } from "./deck.js";
+
+// ---------------------- Grouping ----------------------
+/** Average normalized score per group, weakest first. */
+export function groupAverages(history, keyOf, labelOf = keyOf) {
+  const groups = new Map();
+  history.forEach(h => {
+    const key = keyOf(h);
+    if (key === undefined || key === null) return;
+    const g = groups.get(key) || {key, label: labelOf(h), n: 0, sum: 0};
+    g.n += 1; g.sum += normalizedScore(h);
+    groups.set(key, g);
+  });
+  return [...groups.values()]
+    .map(({sum, ...g}) => ({...g, avg: sum / g.n}))
+    .sort((a, b) => a.avg - b.avg || b.n - a.n);
+}
+
+/** Averages per special; a combo card counts towards each of its specials. */
+export function specialAverages(history) {
+  const rows = history.flatMap(h => drawSpecials(h.draw).map(sp => ({...h, special: sp})));
+  return groupAverages(rows, h => h.special.key, h => h.special.text);
+}
+
+// Local calendar day, so "today" matches the player's clock rather than UTC
+export function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/** One point per practice day, oldest first. */
+export function dailyTrend(history) {
+  return groupAverages(history, h => dayKey(h.ts)).sort((a, b) => (a.key < b.key ? -1 : 1));
+}
+
+// ---------------------- Streaks ----------------------
+function shiftDay(key, delta) {
+  const [y, m, d] = key.split("-").map(Number);
+  return dayKey(new Date(y, m - 1, d + delta));
+}
+
+/**
+ * Day streaks (consecutive practice days) and score streaks (consecutive attempts
+ * at or above the mastery threshold). `history` is newest first.
+ */
+export function streaks(history, now = new Date()) {
+  const days = new Set(history.map(h => dayKey(h.ts)));
+
+  // The current day streak may start today or yesterday (today not played yet)
+  let cursor = dayKey(now);
+  if (!days.has(cursor)) cursor = shiftDay(cursor, -1);
+  let currentDays = 0;
+  while (days.has(cursor)) { currentDays += 1; cursor = shiftDay(cursor, -1); }
+
+  let longestDays = 0;
+  days.forEach(day => {
+    if (days.has(shiftDay(day, -1))) return; // only count from the start of each run
+    let len = 0, d = day;
+    while (days.has(d)) { len += 1; d = shiftDay(d, 1); }
+    longestDays = Math.max(longestDays, len);
+  });
+
+  let currentHigh = 0;
+  while (currentHigh < history.length && normalizedScore(history[currentHigh]) >= MASTERY) currentHigh += 1;
+
+  let bestHigh = 0, run = 0;
+  history.forEach(h => {
+    run = normalizedScore(h) >= MASTERY ? run + 1 : 0;
+    bestHigh = Math.max(bestHigh, run);
+  });
+
+  return {currentDays, longestDays, currentHigh, bestHigh};
+}
+
+// ---------------------- Heatmap ----------------------
+/** Tense × time-cue grid of average normalized scores. */
+export function tenseCueHeatmap(history) {
+  const rows = groupAverages(history, h => h.draw.tenseKey, h => h.draw.tense).sort((a, b) => a.label.localeCompare(b.label));
+  const cols = groupAverages(history, h => h.draw.timeCue).sort((a, b) => a.label.localeCompare(b.label));
+  const cells = {};
+  groupAverages(history, h => `${h.draw.tenseKey}|${h.draw.timeCue}`).forEach(c => { cells[c.key] = c; });
+  return {rows, cols, cell: (tenseKey, cue) => cells[`${tenseKey}|${cue}`] || null};
+}
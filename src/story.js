@@ -0,0 +1,127 @@
+/*
+ Story mode
+ --------------------------------------------------
+ A handful of draws dealt up front, one sentence each, read as one paragraph.
+ The player can put the cards in any order before scoring; each sentence is
+ scored against its own draw like a solo attempt, and the paragraph as a whole
+ gets a coherence score (heuristic: time order and linking words; AI judges:
+ see buildStoryPrompt in judge.js).
+*/
+import { escapeRegex, stripAccents } from "./conjugation.js";
+
+export const STORY_LENGTHS = [3, 4, 5];
+export const DEFAULT_STORY_LENGTH = 4;
+
+// Fewest sentences a story can be scored with (the API accepts any length in between)
+export const MIN_STORY_SENTENCES = 2;
+export const MAX_STORY_SENTENCES = Math.max(...STORY_LENGTHS);
+
+/**
+ * Where the built-in time cues (and "esta mañana", "esta tarde", which players write for
+ * today) put a sentence: -1 before today, 0 today, 1 after today. Only the order matters.
+ * Cues that aren't a point in time (siempre, de repente, ya, luego, si tuviera tiempo…),
+ * times of day (por la mañana) or spans of today and the past (esta semana, este año)
+ * have no place, and neither do custom-deck cues, so they never break the order.
+ */
+export const TIMELINE = {
+  "cuando era niño": -1,
+  "de pequeño": -1,
+  "el año pasado": -1,
+  "el lunes pasado": -1,
+  "hace ___ días": -1,
+  "ayer": -1,
+  "anoche": -1,
+  "hoy": 0,
+  "ahora": 0,
+  "esta mañana": 0,
+  "esta tarde": 0,
+  "esta noche": 0,
+  "mañana": 1,
+  "pasado mañana": 1,
+  "el viernes que viene": 1,
+  "la semana que viene": 1,
+  "dentro de ___ meses": 1,
+};
+
+// Compared without accents; a "___" blank matches whatever the player filled in
+function cuePattern(text) {
+  const words = escapeRegex(stripAccents(text)).replace(/_+/g, "[\\p{L}\\d]+");
+  return new RegExp(`(?<![\\p{L}])${words}(?![\\p{L}])`, "iu");
+}
+
+// Longest first, so "pasado mañana" and "esta mañana" are found before "mañana"
+const RANKED_CUES = Object.keys(TIMELINE)
+  .sort((a, b) => b.length - a.length)
+  .map(text => ({text, rank: TIMELINE[text], pattern: cuePattern(text)}));
+
+// A time of day ("por la mañana"), not a day: no place on the timeline, and not "mañana" either
+const TIME_OF_DAY = /(?<![\p{L}])(?:por|de|en) la (?:manana|tarde|noche)(?![\p{L}])/giu;
+
+// Cues with a place on the timeline in accent-free text; each phrase takes its words, so the
+// "mañana" of "pasado mañana" or "esta mañana" isn't found again on its own
+function rankedCuesIn(plain) {
+  let rest = plain.replace(TIME_OF_DAY, " ");
+  return RANKED_CUES.filter(c => {
+    if (!c.pattern.test(rest)) return false;
+    rest = rest.replace(c.pattern, " ");
+    return true;
+  });
+}
+
+/**
+ * When a story sentence happens: its card's cue if the sentence uses it, otherwise the
+ * first cue with a place on the timeline it mentions. {cue, rank}, or null for neither.
+ */
+export function timePointOf({sentence, draw}) {
+  const found = rankedCuesIn(stripAccents(sentence));
+  const cue = found.find(c => c.text === draw.timeCue) || found[0];
+  return cue ? {cue: cue.text, rank: cue.rank} : null;
+}
+
+/**
+ * Places where the story jumps back in time: [{from, to}] with each side
+ * {index, cue, rank}, for consecutive sentences that have a time point.
+ */
+export function timeOrderBreaks(entries) {
+  const points = entries
+    .map((entry, index) => ({index, ...timePointOf(entry)}))
+    .filter(p => p.cue);
+  return points.slice(1)
+    .map((to, i) => ({from: points[i], to}))
+    .filter(({from, to}) => to.rank < from.rank);
+}
+
+/**
+ * `length` draws for a new story from `deal()`; a card whose time cue is already
+ * on the table is re-dealt a few times, so the story has distinct moments to order.
+ */
+export function dealStory(deal, length = DEFAULT_STORY_LENGTH) {
+  const draws = [];
+  while (draws.length < length) {
+    let draw = deal();
+    for (let tries = 0; tries < 5 && draws.some(d => d.timeCue === draw.timeCue); tries++) draw = deal();
+    draws.push(draw);
+  }
+  return draws;
+}
+
+/** Move item `from` to position `to`, as a new list. */
+export function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length) return list;
+  const out = [...list];
+  const [item] = out.splice(from, 1);
+  out.splice(to, 0, item);
+  return out;
+}
+
+/**
+ * Story total: every sentence's score plus the coherence score, each out of its own max.
+ * `results` may contain nulls for sentences still being scored; those are left out.
+ */
+export function storyTotals(results, coherence) {
+  const scored = [...results, coherence].filter(Boolean);
+  return {
+    score: scored.reduce((sum, r) => sum + r.score, 0),
+    max: scored.reduce((sum, r) => sum + r.max, 0),
+  };
+}
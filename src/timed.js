@@ -0,0 +1,48 @@
+/*
+ Timed challenge
+ --------------------------------------------------
+ Scoring rules for the timed mode: each draw is worth its normalized score ×100,
+ multiplied by a streak bonus for consecutive high scores. Attempts scored by an
+ AI judge may resolve out of order, so totals are always recomputed from the
+ ordered attempt list rather than accumulated as results arrive.
+*/
+import { MASTERY } from "./adaptive.js";
+
+export const DRAW_SECONDS = {min: 15, max: 90, step: 5, default: 45};
+export const SESSION_MINUTES = [1, 3, 5, 10];
+
+const STREAK_STEP = 0.5;  // +0.5× per consecutive high score…
+const MAX_MULTIPLIER = 3; // …capped at 3×
+
+export function streakMultiplier(streakBefore) {
+  return Math.min(MAX_MULTIPLIER, 1 + STREAK_STEP * streakBefore);
+}
+
+/**
+ * Walk attempts in play order. Each attempt is {r?: result, timedOut}; attempts whose
+ * result hasn't arrived yet are `pending` and the run totals exclude them.
+ * Returns {attempts: [{...a, multiplier, points, pending}], total, bestStreak, streak, scored, pending}.
+ */
+export function scoreRun(attempts) {
+  let streak = 0, bestStreak = 0, total = 0, scored = 0, pending = 0, normSum = 0;
+  const out = attempts.map(a => {
+    if (!a.r) {
+      pending += 1;
+      return {...a, pending: true, multiplier: null, points: null};
+    }
+    const norm = a.r.max ? a.r.score / a.r.max : 0;
+    const high = norm >= MASTERY;
+    const multiplier = high ? streakMultiplier(streak) : 1;
+    const points = Math.round(norm * 100 * multiplier);
+    streak = high ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+    total += points; scored += 1; normSum += norm;
+    return {...a, pending: false, multiplier, points};
+  });
+  return {attempts: out, total, streak, bestStreak, scored, pending, average: scored ? normSum / scored : 0};
+}
+
+export function formatClock(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}